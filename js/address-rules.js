@@ -0,0 +1,458 @@
+/**
+ * Wax Encounters - Address Rules
+ * Per-country postal address rules (postal code format, whether a state or province is needed,
+ * which characters are allowed) used by the checkout and account address forms.
+ * Addresses are tidied (spacing, casing, postal code layout, state names to their codes) and
+ * the customer is asked "did you mean…" before shipping rates are calculated, so labels go out
+ * with addresses the carriers accept.
+ */
+
+class AddressRules {
+    constructor() {
+        // Letters of any alphabet (accents included), digits and the punctuation used in street names
+        this.characters = /^[\p{L}\p{M}\d\s.,'’\-#\/°ºª&]*$/u;
+        // Words kept lower case inside names of streets and places ("Via della Spiga", "Rue de la Paix")
+        this.particles = ['a', 'al', 'alla', 'am', 'an', 'and', 'da', 'dal', 'dalla', 'de', 'degli', 'dei', 'del', 'della',
+            'delle', 'den', 'der', 'des', 'di', 'du', 'e', 'en', 'im', 'la', 'le', 'les', 'of', 'the', 'van', 'von', 'y', 'zu', 'zum', 'zur'];
+        this.fieldLabels = {
+            firstName: 'First name',
+            lastName: 'Last name',
+            address1: 'Street address',
+            address2: 'Apartment, suite, etc.',
+            city: 'City',
+            state: 'State/Province',
+            postalCode: 'Postal code',
+            country: 'Country'
+        };
+
+        this.countryNames = {
+            AF: 'Afghanistan', AL: 'Albania', DZ: 'Algeria', AD: 'Andorra', AO: 'Angola', AG: 'Antigua and Barbuda',
+            AR: 'Argentina', AM: 'Armenia', AU: 'Australia', AT: 'Austria', AZ: 'Azerbaijan',
+            BS: 'Bahamas', BH: 'Bahrain', BD: 'Bangladesh', BB: 'Barbados', BY: 'Belarus', BE: 'Belgium', BZ: 'Belize',
+            BJ: 'Benin', BT: 'Bhutan', BO: 'Bolivia', BA: 'Bosnia and Herzegovina', BW: 'Botswana', BR: 'Brazil',
+            BN: 'Brunei', BG: 'Bulgaria', BF: 'Burkina Faso', BI: 'Burundi',
+            KH: 'Cambodia', CM: 'Cameroon', CA: 'Canada', CV: 'Cape Verde', CF: 'Central African Republic', TD: 'Chad',
+            CL: 'Chile', CN: 'China', CO: 'Colombia', KM: 'Comoros', CG: 'Congo', CR: 'Costa Rica', HR: 'Croatia',
+            CU: 'Cuba', CY: 'Cyprus', CZ: 'Czech Republic',
+            DK: 'Denmark', DJ: 'Djibouti', DM: 'Dominica', DO: 'Dominican Republic',
+            EC: 'Ecuador', EG: 'Egypt', SV: 'El Salvador', GQ: 'Equatorial Guinea', ER: 'Eritrea', EE: 'Estonia',
+            SZ: 'Eswatini', ET: 'Ethiopia',
+            FJ: 'Fiji', FI: 'Finland', FR: 'France',
+            GA: 'Gabon', GM: 'Gambia', GE: 'Georgia', DE: 'Germany', GH: 'Ghana', GR: 'Greece', GD: 'Grenada',
+            GT: 'Guatemala', GN: 'Guinea', GW: 'Guinea-Bissau', GY: 'Guyana',
+            HT: 'Haiti', HN: 'Honduras', HK: 'Hong Kong', HU: 'Hungary',
+            IS: 'Iceland', IN: 'India', ID: 'Indonesia', IR: 'Iran', IQ: 'Iraq', IE: 'Ireland', IL: 'Israel',
+            IT: 'Italy',
+            JM: 'Jamaica', JP: 'Japan', JO: 'Jordan',
+            KZ: 'Kazakhstan', KE: 'Kenya', KI: 'Kiribati', KR: 'South Korea', KW: 'Kuwait', KG: 'Kyrgyzstan',
+            LA: 'Laos', LV: 'Latvia', LB: 'Lebanon', LS: 'Lesotho', LR: 'Liberia', LY: 'Libya', LI: 'Liechtenstein',
+            LT: 'Lithuania', LU: 'Luxembourg',
+            MO: 'Macao', MG: 'Madagascar', MW: 'Malawi', MY: 'Malaysia', MV: 'Maldives', ML: 'Mali', MT: 'Malta',
+            MH: 'Marshall Islands', MR: 'Mauritania', MU: 'Mauritius', MX: 'Mexico', FM: 'Micronesia', MD: 'Moldova',
+            MC: 'Monaco', MN: 'Mongolia', ME: 'Montenegro', MA: 'Morocco', MZ: 'Mozambique',
+            MM: 'Myanmar',
+            NA: 'Namibia', NR: 'Nauru', NP: 'Nepal', NL: 'Netherlands', NZ: 'New Zealand', NI: 'Nicaragua',
+            NE: 'Niger', NG: 'Nigeria', MK: 'North Macedonia', NO: 'Norway',
+            OM: 'Oman',
+            PK: 'Pakistan', PW: 'Palau', PA: 'Panama', PG: 'Papua New Guinea', PY: 'Paraguay', PE: 'Peru',
+            PH: 'Philippines', PL: 'Poland', PT: 'Portugal',
+            QA: 'Qatar',
+            RO: 'Romania', RU: 'Russia', RW: 'Rwanda',
+            KN: 'Saint Kitts and Nevis', LC: 'Saint Lucia', VC: 'Saint Vincent and the Grenadines', WS: 'Samoa',
+            SM: 'San Marino', ST: 'Sao Tome and Principe', SA: 'Saudi Arabia', SN: 'Senegal', RS: 'Serbia',
+            SC: 'Seychelles', SL: 'Sierra Leone', SG: 'Singapore', SK: 'Slovakia', SI: 'Slovenia',
+            SB: 'Solomon Islands', SO: 'Somalia', ZA: 'South Africa', ES: 'Spain', LK: 'Sri Lanka', SD: 'Sudan',
+            SR: 'Suriname', SE: 'Sweden', CH: 'Switzerland', SY: 'Syria',
+            TW: 'Taiwan', TJ: 'Tajikistan', TZ: 'Tanzania', TH: 'Thailand', TL: 'Timor-Leste', TG: 'Togo', TO: 'Tonga',
+            TT: 'Trinidad and Tobago', TN: 'Tunisia', TR: 'Turkey', TM: 'Turkmenistan', TV: 'Tuvalu',
+            UG: 'Uganda', UA: 'Ukraine', AE: 'United Arab Emirates', GB: 'United Kingdom', US: 'United States',
+            UY: 'Uruguay', UZ: 'Uzbekistan',
+            VU: 'Vanuatu', VA: 'Vatican City', VE: 'Venezuela', VN: 'Vietnam',
+            YE: 'Yemen', ZM: 'Zambia', ZW: 'Zimbabwe'
+        };
+
+        const states = {
+            IT: {
+                AG: 'Agrigento', AL: 'Alessandria', AN: 'Ancona', AO: 'Aosta', AP: 'Ascoli Piceno', AQ: "L'Aquila", AR: 'Arezzo',
+                AT: 'Asti', AV: 'Avellino', BA: 'Bari', BG: 'Bergamo', BI: 'Biella', BL: 'Belluno', BN: 'Benevento', BO: 'Bologna',
+                BR: 'Brindisi', BS: 'Brescia', BT: 'Barletta-Andria-Trani', BZ: 'Bolzano', CA: 'Cagliari', CB: 'Campobasso',
+                CE: 'Caserta', CH: 'Chieti', CL: 'Caltanissetta', CN: 'Cuneo', CO: 'Como', CR: 'Cremona', CS: 'Cosenza', CT: 'Catania',
+                CZ: 'Catanzaro', EN: 'Enna', FC: 'Forlì-Cesena', FE: 'Ferrara', FG: 'Foggia', FI: 'Firenze', FM: 'Fermo',
+                FR: 'Frosinone', GE: 'Genova', GO: 'Gorizia', GR: 'Grosseto', IM: 'Imperia', IS: 'Isernia', KR: 'Crotone',
+                LC: 'Lecco', LE: 'Lecce', LI: 'Livorno', LO: 'Lodi', LT: 'Latina', LU: 'Lucca', MB: 'Monza e Brianza', MC: 'Macerata',
+                ME: 'Messina', MI: 'Milano', MN: 'Mantova', MO: 'Modena', MS: 'Massa-Carrara', MT: 'Matera', NA: 'Napoli',
+                NO: 'Novara', NU: 'Nuoro', OR: 'Oristano', PA: 'Palermo', PC: 'Piacenza', PD: 'Padova', PE: 'Pescara', PG: 'Perugia',
+                PI: 'Pisa', PN: 'Pordenone', PO: 'Prato', PR: 'Parma', PT: 'Pistoia', PU: 'Pesaro e Urbino', PV: 'Pavia',
+                PZ: 'Potenza', RA: 'Ravenna', RC: 'Reggio Calabria', RE: 'Reggio Emilia', RG: 'Ragusa', RI: 'Rieti', RM: 'Roma',
+                RN: 'Rimini', RO: 'Rovigo', SA: 'Salerno', SI: 'Siena', SO: 'Sondrio', SP: 'La Spezia', SR: 'Siracusa', SS: 'Sassari',
+                SU: 'Sud Sardegna', SV: 'Savona', TA: 'Taranto', TE: 'Teramo', TN: 'Trento', TO: 'Torino', TP: 'Trapani', TR: 'Terni',
+                TS: 'Trieste', TV: 'Treviso', UD: 'Udine', VA: 'Varese', VB: 'Verbano-Cusio-Ossola', VC: 'Vercelli', VE: 'Venezia',
+                VI: 'Vicenza', VR: 'Verona', VT: 'Viterbo', VV: 'Vibo Valentia'
+            },
+            US: {
+                AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado', CT: 'Connecticut',
+                DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+                IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
+                MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana',
+                NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+                NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania',
+                RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+                VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+                PR: 'Puerto Rico'
+            },
+            CA: {
+                AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+                NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island',
+                QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+            },
+            AU: {
+                ACT: 'Australian Capital Territory', NSW: 'New South Wales', NT: 'Northern Territory', QLD: 'Queensland',
+                SA: 'South Australia', TAS: 'Tasmania', VIC: 'Victoria', WA: 'Western Australia'
+            }
+        };
+
+        // Postal codes: pattern of the tidied code, layout it is written in (# = any character) and an example.
+        // Countries not listed take any short code, or none
+        this.rules = {
+            IT: { postalCode: /^\d{5}$/, example: '20121', state: { required: true, label: 'Province', codes: states.IT, example: 'MI' } },
+            SM: { postalCode: /^4789\d$/, example: '47890' },
+            VA: { postalCode: /^00120$/, example: '00120' },
+            DE: { postalCode: /^\d{5}$/, example: '10115' },
+            AT: { postalCode: /^\d{4}$/, example: '1010' },
+            CH: { postalCode: /^\d{4}$/, example: '8001' },
+            LI: { postalCode: /^94(8[5-9]|9[0-8])$/, example: '9490' },
+            FR: { postalCode: /^\d{5}$/, example: '75001' },
+            MC: { postalCode: /^980\d{2}$/, example: '98000' },
+            ES: { postalCode: /^\d{5}$/, example: '28001' },
+            PT: { postalCode: /^\d{4}-\d{3}$/, layout: '####-###', example: '1000-001' },
+            BE: { postalCode: /^\d{4}$/, example: '1000' },
+            NL: { postalCode: /^\d{4} [A-Z]{2}$/, layout: '#### ##', example: '1012 AB' },
+            LU: { postalCode: /^\d{4}$/, example: '1009' },
+            DK: { postalCode: /^\d{4}$/, example: '1050' },
+            NO: { postalCode: /^\d{4}$/, example: '0150' },
+            SE: { postalCode: /^\d{3} \d{2}$/, layout: '### ##', example: '111 22' },
+            FI: { postalCode: /^\d{5}$/, example: '00100' },
+            PL: { postalCode: /^\d{2}-\d{3}$/, layout: '##-###', example: '00-950' },
+            CZ: { postalCode: /^\d{3} \d{2}$/, layout: '### ##', example: '110 00' },
+            SK: { postalCode: /^\d{3} \d{2}$/, layout: '### ##', example: '811 01' },
+            GR: { postalCode: /^\d{3} \d{2}$/, layout: '### ##', example: '105 57' },
+            HU: { postalCode: /^\d{4}$/, example: '1051' },
+            SI: { postalCode: /^\d{4}$/, example: '1000' },
+            HR: { postalCode: /^\d{5}$/, example: '10000' },
+            IE: { postalCode: /^[A-Z]\d[\dW] [\dA-Z]{4}$/, layout: '### ####', example: 'D02 X285' },
+            GB: { postalCode: /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/, example: 'SW1A 1AA' },
+            US: { postalCode: /^\d{5}(-\d{4})?$/, layout: '#####-####', example: '10001', state: { required: true, label: 'State', codes: states.US, example: 'NY' } },
+            CA: { postalCode: /^[A-Z]\d[A-Z] \d[A-Z]\d$/, layout: '### ###', example: 'M5V 2T6', state: { required: true, label: 'Province', codes: states.CA, example: 'ON' } },
+            AU: { postalCode: /^\d{4}$/, example: '2000', state: { required: true, label: 'State', codes: states.AU, example: 'NSW' } },
+            JP: { postalCode: /^\d{3}-\d{4}$/, layout: '###-####', example: '100-0001', state: { required: true, label: 'Prefecture', example: 'Tokyo' } },
+            BR: { postalCode: /^\d{5}-\d{3}$/, layout: '#####-###', example: '01310-100', state: { required: true, label: 'State', example: 'SP' } },
+            MX: { postalCode: /^\d{5}$/, example: '06000', state: { required: true, label: 'State', example: 'CDMX' } }
+        };
+        this.defaultRule = { postalCode: /^[A-Z\d][A-Z\d \-]{1,9}$/, optionalPostalCode: true, example: '' };
+
+        // Addresses the customer chose to keep as typed, so they are not asked again
+        this.kept = new Set();
+    }
+
+    /**
+     * Rules of a country: postal code format and example, and the state or province field if it needs one
+     */
+    getRule(country) {
+        return this.rules[(country || '').toUpperCase()] || this.defaultRule;
+    }
+
+    /**
+     * Country name for a code
+     */
+    getCountryName(country) {
+        return this.countryNames[(country || '').toUpperCase()] || country || '';
+    }
+
+    /**
+     * Label of the state field for a country
+     */
+    getStateLabel(country) {
+        const rule = this.getRule(country);
+        return rule.state ? rule.state.label : 'State/Province';
+    }
+
+    /**
+     * Whitespace and Unicode form only - applied without asking
+     */
+    clean(address) {
+        const cleaned = {};
+        Object.entries(address || {}).forEach(([field, value]) => {
+            cleaned[field] = typeof value === 'string' ?
+                value.normalize('NFC').replace(/\s+/g, ' ').replace(/\s*,\s*/g, ', ').replace(/,\s*$/, '').trim() :
+                value;
+        });
+        if (cleaned.country) {
+            cleaned.country = cleaned.country.toUpperCase();
+        }
+        return cleaned;
+    }
+
+    /**
+     * The address as it should be written: names capitalised, postal code in the country's layout
+     * and the state as its code
+     */
+    normalise(address) {
+        const normalised = this.clean(address);
+        ['firstName', 'lastName', 'address1', 'address2', 'city'].forEach(field => {
+            if (normalised[field]) {
+                normalised[field] = this.fixCase(normalised[field]);
+            }
+        });
+        if (normalised.postalCode) {
+            normalised.postalCode = this.formatPostalCode(normalised.postalCode, normalised.country);
+        }
+        if (normalised.state) {
+            const rule = this.getRule(normalised.country);
+            normalised.state = this.matchState(normalised.state, normalised.country) ||
+                (rule.state && rule.state.codes ? normalised.state : this.fixCase(normalised.state));
+        }
+        return normalised;
+    }
+
+    /**
+     * Capitalise words of text typed all in lower or upper case; mixed case is left as the customer wrote it
+     */
+    fixCase(text) {
+        const letters = text.replace(/[^\p{L}]/gu, '');
+        if (letters.length < 2 || (letters !== letters.toLowerCase() && letters !== letters.toUpperCase())) {
+            return text;
+        }
+        return text.toLowerCase().split(' ').map((word, index) => {
+            if (index > 0 && this.particles.includes(word)) {
+                return word;
+            }
+            // Capitalise after apostrophes and hyphens too: Sant'Angelo, D'Annunzio, Saint-Étienne
+            return word.replace(/(^|['’\-\/])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+        }).join(' ');
+    }
+
+    /**
+     * Postal code upper case and in the country's layout (spaces and dashes where they belong)
+     */
+    formatPostalCode(postalCode, country) {
+        const code = postalCode.toUpperCase().replace(/[\s\-]/g, '');
+        const upperCountry = (country || '').toUpperCase();
+        const rule = this.getRule(upperCountry);
+        // Drop a country prefix written in front of the code (D-10115, L-1009, CH-8001)
+        const prefixed = code.match(/^([A-Z]{1,2})(\d{4,5})$/);
+        if (prefixed && upperCountry.startsWith(prefixed[1]) && rule.postalCode.test(prefixed[2])) {
+            return prefixed[2];
+        }
+        if (upperCountry === 'GB' && code.length > 4) {
+            return `${code.slice(0, -3)} ${code.slice(-3)}`;
+        }
+        if (!rule.layout) {
+            return rule === this.defaultRule ? postalCode.toUpperCase() : code;
+        }
+        // Fill the layout, leaving out separators the code is too short for (US ZIP without +4)
+        let result = '';
+        let position = 0;
+        for (const char of rule.layout) {
+            if (position >= code.length) {
+                break;
+            }
+            if (char === '#') {
+                result += code[position++];
+            } else {
+                result += char;
+            }
+        }
+        return result + code.slice(position);
+    }
+
+    /**
+     * Code of the state or province typed, by code or by name (accents, case and small typos ignored)
+     */
+    matchState(state, country) {
+        const rule = this.getRule(country);
+        if (!rule.state || !rule.state.codes) {
+            return null;
+        }
+        const codes = rule.state.codes;
+        const upper = state.toUpperCase().replace(/\./g, '');
+        if (codes[upper]) {
+            return upper;
+        }
+        const typed = this.fold(state);
+        const exact = Object.keys(codes).find(code => this.fold(codes[code]) === typed);
+        if (exact) {
+            return exact;
+        }
+        // Closest name, if close enough to be a typo
+        let best = null;
+        let bestDistance = Infinity;
+        Object.keys(codes).forEach(code => {
+            const distance = this.distance(typed, this.fold(codes[code]));
+            if (distance < bestDistance) {
+                best = code;
+                bestDistance = distance;
+            }
+        });
+        return bestDistance <= Math.max(1, Math.floor(typed.length / 4)) ? best : null;
+    }
+
+    /**
+     * Text without accents, punctuation or case, for comparing names
+     */
+    fold(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Edit distance between two strings
+     */
+    distance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Check an address against its country's rules.
+     * Returns { valid, errors: [{ field, message }] }
+     */
+    validate(address, { names = true } = {}) {
+        const errors = [];
+        const country = (address.country || '').toUpperCase();
+        const rule = this.getRule(country);
+        const countryName = this.getCountryName(country);
+        const required = [...(names ? ['firstName', 'lastName'] : []), 'address1', 'city', 'country'];
+        if (!rule.optionalPostalCode) {
+            required.push('postalCode');
+        }
+        if (rule.state && rule.state.required) {
+            required.push('state');
+        }
+        required.forEach(field => {
+            if (!address[field] || !String(address[field]).trim()) {
+                errors.push({ field: field, message: `${field === 'state' ? rule.state.label : this.fieldLabels[field]} is required` });
+            }
+        });
+
+        ['firstName', 'lastName', 'address1', 'address2', 'city', 'state'].forEach(field => {
+            if (address[field] && !this.characters.test(address[field])) {
+                errors.push({ field: field, message: `${this.fieldLabels[field]} contains characters we cannot print on a shipping label` });
+            }
+        });
+
+        if (address.postalCode && !rule.postalCode.test(address.postalCode)) {
+            errors.push({ field: 'postalCode', message: rule.example ?
+                `Postal codes in ${countryName} look like ${rule.example}` :
+                'Postal code is not valid' });
+        }
+        if (address.state && rule.state && rule.state.codes && !rule.state.codes[address.state]) {
+            errors.push({ field: 'state', message: `Enter a ${rule.state.label.toLowerCase()} code of ${countryName}, e.g. ${rule.state.example}` });
+        }
+        return { valid: errors.length === 0, errors: errors };
+    }
+
+    /**
+     * Review an address before rates are calculated: the tidied version, what changed from what
+     * the customer typed ("did you mean…") and anything still wrong with it.
+     * An address the customer chose to keep as typed is checked as typed.
+     * Returns { address, typed, changes: [{ field, label, from, to }], errors, typedErrors }
+     */
+    review(address, options = {}) {
+        const typed = this.clean(address);
+        const suggested = this.normalise(typed);
+        const kept = this.kept.has(this.getKey(typed));
+        const changes = kept ? [] : Object.keys(this.fieldLabels)
+            .filter(field => (typed[field] || '') !== (suggested[field] || ''))
+            .map(field => ({
+                field: field,
+                label: field === 'state' ? this.getStateLabel(typed.country) : this.fieldLabels[field],
+                from: typed[field] || '',
+                to: suggested[field] || ''
+            }));
+        // Otherwise errors are those of the tidied address: a code typed without its space is not a mistake
+        const typedErrors = this.validate(typed, options).errors;
+        return {
+            address: kept ? typed : suggested,
+            typed: typed,
+            changes: changes,
+            errors: kept ? typedErrors : this.validate(suggested, options).errors,
+            typedErrors: typedErrors
+        };
+    }
+
+    /**
+     * Remember that the customer wants an address kept as typed
+     */
+    keep(address) {
+        this.kept.add(this.getKey(this.clean(address)));
+    }
+
+    /**
+     * Key of an address for remembering it was kept
+     */
+    getKey(address) {
+        return Object.keys(this.fieldLabels).map(field => address[field] || '').join('|');
+    }
+
+    /**
+     * One-line address for display and for profiles that keep it as text
+     */
+    format(address) {
+        const locality = [address.postalCode, address.city, address.state].filter(Boolean).join(' ');
+        return [address.address1, address.address2, locality, this.getCountryName(address.country)].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Show the "did you mean" box in a container. onChoice gets the address to use:
+     * the suggested one, or the one typed (which is then not queried again).
+     * Keeping what was typed is only offered when it passes the country's rules
+     */
+    showSuggestion(container, review, onChoice) {
+        const escape = window.Invoices.escape.bind(window.Invoices);
+        const typedErrors = review.typedErrors;
+        container.innerHTML = `
+            <div class="bg-yellow-500 bg-opacity-10 border border-yellow-500 border-opacity-30 rounded-lg p-4 space-y-3">
+                <p class="text-sm text-yellow-200 font-semibold">Did you mean:</p>
+                <ul class="text-sm space-y-1">
+                    ${review.changes.map(change => `
+                        <li><span class="text-gray-400">${escape(change.label)}:</span>
+                            <span class="line-through text-gray-500">${escape(change.from) || '—'}</span>
+                            → <span class="text-white font-semibold">${escape(change.to) || '—'}</span></li>
+                    `).join('')}
+                </ul>
+                <div class="flex flex-wrap gap-2">
+                    <button type="button" data-choice="suggested" class="premium-button px-4 py-2 text-black font-semibold rounded-lg text-sm">Use suggested address</button>
+                    ${typedErrors.length === 0 ? `<button type="button" data-choice="typed" class="px-4 py-2 bg-white bg-opacity-10 hover:bg-opacity-20 rounded-lg text-sm">Keep what I typed</button>` : ''}
+                </div>
+                ${typedErrors.length > 0 ? `<p class="text-xs text-gray-400">What you typed cannot be used: ${escape(typedErrors.map(error => error.message).join('. '))}.</p>` : ''}
+            </div>
+        `;
+        container.classList.remove('hidden');
+        container.querySelectorAll('button[data-choice]').forEach(button => {
+            button.addEventListener('click', () => {
+                container.classList.add('hidden');
+                container.innerHTML = '';
+                if (button.dataset.choice === 'typed') {
+                    this.keep(review.typed);
+                    onChoice(review.typed);
+                } else {
+                    onChoice(review.address);
+                }
+            });
+        });
+    }
+}
+
+// Global instance
+window.AddressRules = new AddressRules();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AddressRules;
+}
@@ -0,0 +1,205 @@
+/**
+ * Wax Encounters - Alert Monitor
+ * Checks low-stock and campaign-ending rules whenever purchaseUpdate fires
+ * New alerts go to the admin by email and into the dashboard notification inbox
+ */
+
+class AlertMonitor {
+    constructor() {
+        this.storageKey = 'adminNotifications';
+        this.running = false;
+        this.pending = false;
+    }
+
+    /**
+     * Get all notifications, oldest first
+     */
+    getNotifications() {
+        return window.DataStore.get(this.storageKey, []);
+    }
+
+    /**
+     * Persist notifications and tell the inbox to redraw
+     */
+    saveNotifications(notifications) {
+        window.DataStore.set(this.storageKey, notifications);
+        window.dispatchEvent(new CustomEvent('alertsUpdate', {
+            detail: { count: this.getInbox().length }
+        }));
+    }
+
+    /**
+     * Alerts that currently apply, each with a key identifying its condition
+     */
+    getCurrentAlerts() {
+        const tracker = window.PurchaseTracker;
+        tracker.reloadRecords();
+        const settings = tracker.getAlertSettings();
+
+        const lowStock = tracker.getInventoryAlerts().map(record => ({
+            key: `low_stock:${record.id}`,
+            type: 'low_stock',
+            recordId: record.id,
+            recordTitle: record.albumTitle,
+            message: `Only ${record.quantity} left of "${record.albumTitle}" by ${record.artistName} (alert at ${tracker.getAlertThresholds(record.id, settings).lowStockThreshold})`
+        }));
+
+        const lowVariantStock = tracker.getVariantAlerts().map(({ record, variant }) => ({
+            key: `low_stock:${record.id}:${variant.id}`,
+            type: 'low_stock',
+            recordId: record.id,
+            variantId: variant.id,
+            recordTitle: record.albumTitle,
+            message: `Only ${variant.quantity} left of "${record.albumTitle}" by ${record.artistName} - ${tracker.getVariantLabel(variant)} (SKU ${variant.sku}, alert at ${tracker.getAlertThresholds(record.id, settings).lowStockThreshold})`
+        }));
+
+        const endingSoon = tracker.getCampaignAlerts().map(record => {
+            const daysLeft = tracker.calculateDaysLeft(record.startDate, record.campaignDays);
+            return {
+                key: `campaign_ending:${record.id}`,
+                type: 'campaign_ending',
+                recordId: record.id,
+                recordTitle: record.albumTitle,
+                message: `Campaign "${record.albumTitle}" by ${record.artistName} ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'} with €${record.raised || 0} of €${record.fundingGoal} raised`
+            };
+        });
+
+        return [...lowStock, ...lowVariantStock, ...endingSoon];
+    }
+
+    /**
+     * Raise notifications for new alerts, resolve ones whose condition cleared,
+     * then email the admin about anything not yet emailed
+     */
+    async evaluate() {
+        // Updates arriving mid-run trigger one more pass afterwards
+        if (this.running) {
+            this.pending = true;
+            return;
+        }
+        this.running = true;
+
+        try {
+            await window.DataStore.ready;
+            const alerts = this.getCurrentAlerts();
+            const activeKeys = new Set(alerts.map(alert => alert.key));
+            const notifications = this.getNotifications();
+            const now = new Date().toISOString();
+            let changed = false;
+
+            notifications
+                .filter(notification => !notification.resolvedAt && !activeKeys.has(notification.key))
+                .forEach(notification => {
+                    notification.resolvedAt = now;
+                    changed = true;
+                });
+
+            alerts
+                .filter(alert => !notifications.some(notification => notification.key === alert.key && !notification.resolvedAt))
+                .forEach(alert => {
+                    notifications.push({
+                        id: 'alert_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                        ...alert,
+                        createdAt: now,
+                        acknowledgedAt: null,
+                        snoozedUntil: null,
+                        resolvedAt: null,
+                        emailedAt: null
+                    });
+                    changed = true;
+                });
+
+            if (changed) {
+                this.saveNotifications(notifications);
+            }
+            await this.emailAdmin();
+        } catch (error) {
+            console.error('Alert evaluation failed:', error);
+        } finally {
+            this.running = false;
+        }
+
+        if (this.pending) {
+            this.pending = false;
+            await this.evaluate();
+        }
+    }
+
+    /**
+     * Email the admin about open notifications that have not been emailed yet
+     */
+    async emailAdmin() {
+        if (!window.EmailService) {
+            return 0;
+        }
+
+        const adminEmail = window.PurchaseTracker.getAlertSettings().adminEmail;
+        const unsent = this.getNotifications().filter(notification => !notification.emailedAt && !notification.resolvedAt);
+
+        let sent = 0;
+        for (const notification of unsent) {
+            const result = await window.EmailService.sendAdminAlert(adminEmail, notification);
+            if (result.success) {
+                this.updateNotification(notification.id, { emailedAt: new Date().toISOString() });
+                sent++;
+            }
+        }
+        return sent;
+    }
+
+    /**
+     * Apply changes to one notification
+     */
+    updateNotification(notificationId, changes) {
+        const notifications = this.getNotifications();
+        const notification = notifications.find(n => n.id === notificationId);
+        if (!notification) {
+            return false;
+        }
+        Object.assign(notification, changes);
+        this.saveNotifications(notifications);
+        return true;
+    }
+
+    /**
+     * Mark a notification as seen; it stays closed until the condition clears and comes back
+     */
+    acknowledge(notificationId) {
+        return this.updateNotification(notificationId, { acknowledgedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Hide a notification from the inbox for a number of hours
+     */
+    snooze(notificationId, hours) {
+        const until = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+        return this.updateNotification(notificationId, { snoozedUntil: until });
+    }
+
+    /**
+     * Notifications that need attention now (not acknowledged, snoozed or resolved), newest first
+     */
+    getInbox() {
+        const now = Date.now();
+        return this.getNotifications()
+            .filter(notification =>
+                !notification.resolvedAt &&
+                !notification.acknowledgedAt &&
+                (!notification.snoozedUntil || new Date(notification.snoozedUntil).getTime() <= now)
+            )
+            .reverse();
+    }
+}
+
+// Global instance
+window.AlertMonitor = new AlertMonitor();
+
+// Re-check the rules after every purchase, inventory change or settings change
+window.addEventListener('purchaseUpdate', () => {
+    window.AlertMonitor.evaluate();
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlertMonitor;
+}
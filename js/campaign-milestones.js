@@ -0,0 +1,92 @@
+/**
+ * Wax Encounters - Campaign Milestones
+ * Emails backers when a campaign reaches its funding goal or unlocks a stretch goal
+ * Milestones are stored on the record by PurchaseTracker, so ones reached in another tab are picked up too
+ */
+
+class CampaignMilestones {
+    constructor() {
+        this.running = false;
+        this.pending = false;
+    }
+
+    /**
+     * Notify backers now and after every purchase update
+     */
+    start() {
+        window.addEventListener('purchaseUpdate', () => this.notifyBackers());
+        this.notifyBackers();
+    }
+
+    /**
+     * Milestones that backers have not been told about yet
+     */
+    getUnnotifiedMilestones() {
+        return window.PurchaseTracker.getAllRecords()
+            .filter(record => record.type === 'crowdfunding')
+            .flatMap(record => (record.milestones || []).filter(milestone => !milestone.notifiedAt));
+    }
+
+    /**
+     * Email every backer of each unnotified milestone, then mark the milestone notified
+     */
+    async notifyBackers() {
+        // Updates arriving mid-run trigger one more pass afterwards
+        if (this.running) {
+            this.pending = true;
+            return 0;
+        }
+        if (!window.EmailService) {
+            console.warn('EmailService not loaded - milestone emails will be sent later');
+            return 0;
+        }
+        this.running = true;
+
+        let notified = 0;
+        try {
+            await window.DataStore.ready;
+            for (const milestone of this.getUnnotifiedMilestones()) {
+                const recipients = new Map();
+                window.PurchaseTracker.getBackerOrders(milestone.recordId).forEach(order => {
+                    const email = window.PurchaseTracker.getOrderEmail(order);
+                    if (email && !recipients.has(email)) {
+                        recipients.set(email, order.customerName || 'Music Lover');
+                    }
+                });
+
+                const results = [];
+                for (const [email, name] of recipients) {
+                    results.push(await window.EmailService.sendCampaignMilestoneNotification(email, name, milestone));
+                }
+
+                if (results.every(result => result.success)) {
+                    window.PurchaseTracker.markMilestoneNotified(milestone.recordId, milestone.id);
+                    notified++;
+                    console.log(`Milestone "${milestone.title}" for ${milestone.recordTitle} sent to ${recipients.size} backers`);
+                }
+            }
+
+            if (notified > 0) {
+                window.PurchaseTracker.notifyDashboardUpdate();
+            }
+        } catch (error) {
+            console.error('Sending milestone emails failed:', error);
+        } finally {
+            this.running = false;
+        }
+
+        if (this.pending) {
+            this.pending = false;
+            notified += await this.notifyBackers();
+        }
+        return notified;
+    }
+}
+
+// Global instance
+window.CampaignMilestones = new CampaignMilestones();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CampaignMilestones;
+}
@@ -0,0 +1,197 @@
+/**
+ * Wax Encounters - Campaign Settlement
+ * Periodic job that closes expired crowdfunding campaigns (all-or-nothing)
+ * Funded campaigns go to pressing, failed ones are refunded and their backers emailed
+ * Pledges are only authorised at checkout: they are captured once their campaign closes funded
+ * (or the admin ends it) and voided when it fails
+ */
+
+class CampaignSettlement {
+    constructor() {
+        this.intervalMinutes = 60;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Run once now and then on an interval
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.run();
+        this.timer = setInterval(() => this.run(), this.intervalMinutes * 60 * 1000);
+    }
+
+    /**
+     * Stop the interval
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Settle expired campaigns and email any backers not yet told about their refund
+     */
+    async run() {
+        if (this.running) {
+            return { success: false, error: 'Settlement already running' };
+        }
+        this.running = true;
+
+        try {
+            await window.DataStore.ready;
+            const result = window.PurchaseTracker.settleExpiredCampaigns();
+            const payments = await this.settlePledgePayments();
+            const emailed = await this.notifyRefundedBackers();
+
+            if (result.funded.length > 0 || result.failed.length > 0) {
+                console.log(`Settlement: ${result.funded.length} funded, ${result.failed.length} failed, ${result.refunds.length} refunds created`);
+            }
+            return {
+                success: true,
+                funded: result.funded,
+                failed: result.failed,
+                refunds: result.refunds,
+                captured: payments.captured,
+                voided: payments.voided,
+                refunded: payments.refunded,
+                emailed: emailed
+            };
+        } catch (error) {
+            console.error('Campaign settlement failed:', error);
+            return { success: false, error: error.message };
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Capture the authorised pledges of closed campaigns that were funded, void those of failed ones and
+     * refund failed pledges that were already captured. Pass a record id to settle one campaign (e.g. when the admin ends it); failed calls are retried next run
+     */
+    async settlePledgePayments(recordId = null) {
+        const result = { captured: 0, voided: 0, refunded: 0, failed: 0 };
+        if (!window.PaymentGateway) {
+            return result;
+        }
+
+        const closed = new Map(window.PurchaseTracker.reloadRecords()
+            .filter(record => record.type === 'crowdfunding' && (record.settledAt || record.endedAt))
+            .filter(record => !recordId || record.id === recordId)
+            .map(record => [record.id, record]));
+
+        // One authorisation covers an order's pledges for one campaign
+        const authorisations = new Map();
+        window.PurchaseTracker.getOrders().forEach(order => {
+            (order.lineItems || [])
+                .filter(line => line.type === 'crowdfunding' && line.paymentStatus === 'authorised' && line.paymentIntentId && closed.has(line.recordId))
+                .forEach(line => authorisations.set(line.paymentIntentId, closed.get(line.recordId)));
+        });
+
+        for (const [intentId, record] of authorisations) {
+            if (record.status === 'failed') {
+                const voided = await window.PaymentGateway.voidAuthorisation(intentId);
+                if (voided.success) {
+                    result.voided++;
+                    window.PurchaseTracker.getRefunds()
+                        .filter(refund => refund.paymentIntentId === intentId && refund.method === 'void' && refund.status === 'pending')
+                        .forEach(refund => window.PurchaseTracker.markRefundCompleted(refund.id));
+                } else {
+                    result.failed++;
+                }
+            } else {
+                const captured = await window.PaymentGateway.capture(intentId);
+                if (captured.success) {
+                    result.captured++;
+                } else {
+                    result.failed++;
+                    console.warn(`Could not capture pledge payment ${intentId} for ${record.albumTitle}:`, captured.error);
+                }
+            }
+        }
+
+        await this.refundCapturedPledges(result, recordId);
+
+        if (result.captured > 0 || result.voided > 0 || result.refunded > 0) {
+            console.log(`Pledge payments: ${result.captured} captured, ${result.voided} voided, ${result.refunded} refunded, ${result.failed} failed`);
+        }
+        return result;
+    }
+
+    /**
+     * Give back, through the payment gateway, the pledges of failed campaigns that had already been
+     * captured. Counts go into result
+     */
+    async refundCapturedPledges(result, recordId = null) {
+        const pending = window.PurchaseTracker.getRefunds().filter(refund =>
+            refund.reason === 'campaign_failed' && refund.method === 'refund' && refund.status === 'pending' &&
+            refund.paymentIntentId && (!recordId || refund.recordId === recordId)
+        );
+
+        for (const refund of pending) {
+            const intent = window.PaymentGateway.getIntent(refund.paymentIntentId);
+            // Already given back, e.g. by hand at the provider
+            if (intent && intent.status === 'refunded') {
+                window.PurchaseTracker.markRefundCompleted(refund.id);
+                result.refunded++;
+                continue;
+            }
+            const amount = intent ? Math.min(refund.amount, window.PaymentGateway.getRefundable(intent)) : 0;
+            const refunded = amount > 0 ?
+                await window.PaymentGateway.refund(refund.paymentIntentId, amount) :
+                { success: false, error: 'Nothing left to refund on this payment' };
+            if (refunded.success) {
+                window.PurchaseTracker.markRefundCompleted(refund.id);
+                result.refunded++;
+            } else {
+                result.failed++;
+                console.warn(`Could not refund pledge payment ${refund.paymentIntentId} for ${refund.recordTitle}:`, refunded.error);
+            }
+        }
+    }
+
+    /**
+     * Email every completed campaign refund that has not been notified yet (failed sends are retried next run)
+     */
+    async notifyRefundedBackers() {
+        if (!window.EmailService) {
+            console.warn('EmailService not loaded - refund emails will be sent on a later run');
+            return 0;
+        }
+
+        // Backers are only told once the money went back or the authorisation was released
+        const pending = window.PurchaseTracker.getRefunds().filter(refund =>
+            refund.reason === 'campaign_failed' && !refund.notifiedAt && refund.customerEmail && refund.status === 'completed'
+        );
+
+        let sent = 0;
+        for (const refund of pending) {
+            const result = await window.EmailService.sendCampaignRefundNotification(
+                refund.customerEmail,
+                refund.customerName || 'Music Lover',
+                {
+                    orderNumber: refund.orderId,
+                    recordTitle: refund.recordTitle,
+                    amount: refund.amount,
+                    voided: refund.method === 'void'
+                }
+            );
+            if (result.success) {
+                window.PurchaseTracker.markRefundNotified(refund.id);
+                sent++;
+            }
+        }
+        return sent;
+    }
+}
+
+// Global instance
+window.CampaignSettlement = new CampaignSettlement();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CampaignSettlement;
+}
@@ -0,0 +1,344 @@
+/**
+ * Wax Encounters - Shopping Cart
+ * Persistent multi-item cart mixing in-stock records and crowdfunding pre-orders
+ * Stock checks and settlement go through PurchaseTracker
+ */
+
+class ShoppingCart {
+    constructor() {
+        this.storageKey = 'cart';
+    }
+
+    /**
+     * Get the raw cart lines
+     */
+    getItems() {
+        return window.DataStore.get(this.storageKey, []);
+    }
+
+    /**
+     * Persist cart lines and refresh cart counters
+     */
+    saveItems(items) {
+        window.DataStore.set(this.storageKey, items);
+        this.notifyChange();
+    }
+
+    /**
+     * Add a record (and reward tier for pledges, or variant for in-stock records),
+     * merging with an existing matching line
+     */
+    addItem(recordId, quantity = 1, tierId = null, variantId = null) {
+        const record = window.PurchaseTracker.reloadRecords().find(r => r.id === recordId);
+        if (!record) {
+            return { success: false, error: 'Record not found' };
+        }
+
+        const items = this.getItems();
+        const existing = items.find(item =>
+            item.recordId === recordId &&
+            (item.tierId || null) === tierId &&
+            (item.variantId || null) === variantId
+        );
+        const check = this.checkLine({ recordId, tierId, variantId, quantity: (existing ? existing.quantity : 0) + quantity });
+        if (!check.valid) {
+            return { success: false, error: check.error };
+        }
+
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            items.push({
+                id: 'line_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                recordId: recordId,
+                type: record.type,
+                tierId: tierId,
+                variantId: variantId,
+                quantity: quantity,
+                addedAt: new Date().toISOString()
+            });
+        }
+
+        this.saveItems(items);
+        return { success: true, message: `"${record.albumTitle}" added to your cart` };
+    }
+
+    /**
+     * Remove a line from the cart
+     */
+    removeItem(lineId) {
+        this.saveItems(this.getItems().filter(item => item.id !== lineId));
+        return { success: true };
+    }
+
+    /**
+     * Change the quantity of a line (0 removes it)
+     */
+    updateQuantity(lineId, quantity) {
+        quantity = Math.floor(Number(quantity) || 0);
+        if (quantity <= 0) {
+            return this.removeItem(lineId);
+        }
+
+        const items = this.getItems();
+        const line = items.find(item => item.id === lineId);
+        if (!line) {
+            return { success: false, error: 'Cart line not found' };
+        }
+
+        const check = this.checkLine({ recordId: line.recordId, tierId: line.tierId, variantId: line.variantId, quantity });
+        if (!check.valid) {
+            return { success: false, error: check.error };
+        }
+
+        line.quantity = quantity;
+        this.saveItems(items);
+        return { success: true };
+    }
+
+    /**
+     * Empty the cart
+     */
+    clear() {
+        this.saveItems([]);
+    }
+
+    /**
+     * Total number of units in the cart
+     */
+    getItemCount() {
+        return this.getItems().reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    /**
+     * Units that ship with the order; pre-orders ship later, when their campaign is pressed
+     */
+    getShippingItemCount() {
+        return this.getItems()
+            .filter(item => item.type !== 'crowdfunding')
+            .reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    /**
+     * Cart lines joined with their current record data and prices
+     */
+    getDetailedItems() {
+        const records = window.PurchaseTracker.reloadRecords();
+        return this.getItems()
+            .map(item => {
+                const record = records.find(r => r.id === item.recordId);
+                if (!record) {
+                    return null;
+                }
+                const tier = item.tierId ? window.PurchaseTracker.getRewardTier(record, item.tierId) : null;
+                const variant = item.variantId ? window.PurchaseTracker.getVariant(record, item.variantId) : null;
+                const unitPrice = tier ? tier.price : window.PurchaseTracker.getVariantPrice(record, variant);
+                return {
+                    ...item,
+                    record: record,
+                    tier: tier,
+                    variant: variant,
+                    unitPrice: unitPrice,
+                    lineTotal: unitPrice * item.quantity
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Sum of all line totals
+     */
+    getSubtotal() {
+        return this.getDetailedItems().reduce((sum, item) => sum + item.lineTotal, 0);
+    }
+
+    /**
+     * Check one line against current stock or campaign state
+     */
+    checkLine(line) {
+        const record = window.PurchaseTracker.getRecord(line.recordId);
+        if (!record) {
+            return { valid: false, error: 'This record is no longer available' };
+        }
+
+        if (!window.PurchaseTracker.isLaunched(record)) {
+            return { valid: false, error: `"${record.albumTitle}" goes on sale ${window.PurchaseTracker.getLaunchDate(record).toLocaleString()}` };
+        }
+
+        if (record.type === 'immediate') {
+            let title = record.albumTitle;
+            if (record.variants && record.variants.length > 0) {
+                const variant = window.PurchaseTracker.getVariant(record, line.variantId);
+                if (!variant) {
+                    return { valid: false, error: `Please choose a version of "${record.albumTitle}"` };
+                }
+                title += ` (${window.PurchaseTracker.getVariantLabel(variant)})`;
+            }
+            const available = window.PurchaseTracker.getAvailableQuantity(record.id, line.variantId || null);
+            // Sold-out records can still be paid for now if the admin allows backorders
+            if (available <= 0 && record.allowBackorder) {
+                return { valid: true, backorder: true };
+            }
+            if (record.status !== 'available' || available < line.quantity) {
+                return {
+                    valid: false,
+                    available: available,
+                    error: available > 0 ? `Only ${available} of "${title}" left in stock` : `"${title}" is sold out`
+                };
+            }
+        } else if (window.PurchaseTracker.calculateDaysLeft(record.startDate, record.campaignDays) <= 0) {
+            return { valid: false, error: `The campaign for "${record.albumTitle}" has ended` };
+        } else if (record.rewardTiers && record.rewardTiers.length > 0) {
+            const tier = window.PurchaseTracker.getRewardTier(record, line.tierId);
+            if (!tier) {
+                return { valid: false, error: `Please choose a reward tier for "${record.albumTitle}"` };
+            }
+            const remaining = window.PurchaseTracker.getTierRemaining(tier);
+            if (remaining < line.quantity) {
+                return {
+                    valid: false,
+                    available: remaining,
+                    error: remaining > 0 ? `Only ${remaining} "${tier.name}" pledges left` : `"${tier.name}" is sold out`
+                };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate every line in the cart
+     */
+    validate() {
+        window.PurchaseTracker.reloadRecords();
+        const lines = this.getItems().map(item => ({ lineId: item.id, ...this.checkLine(item) }));
+        return {
+            valid: lines.length > 0 && lines.every(line => line.valid),
+            lines: lines
+        };
+    }
+
+    /**
+     * Settle the whole cart: either all lines go through or nothing is sold.
+     * Stock for every in-stock line is held first, then the pledges are made and the held
+     * stock is sold; if any line fails, what was already done is undone. Backordered lines take
+     * no stock and are flagged for the backorder queue.
+     * lineDiscounts (by cart line id) come from a discount code; pledges are recorded after discount
+     */
+    checkout(lineDiscounts = {}) {
+        const items = this.getDetailedItems();
+        if (items.length === 0) {
+            return { success: false, error: 'Your cart is empty' };
+        }
+
+        const validation = this.validate();
+        if (!validation.valid) {
+            const failed = validation.lines.find(line => !line.valid);
+            return { success: false, error: failed ? failed.error : 'Your cart is empty', lines: validation.lines };
+        }
+
+        const backordered = validation.lines.filter(line => line.backorder).map(line => line.lineId);
+        const holds = [];
+        for (const item of items.filter(i => i.type === 'immediate' && !backordered.includes(i.id))) {
+            const reservation = window.PurchaseTracker.reserveStock(item.recordId, item.quantity, item.variantId || null);
+            if (!reservation) {
+                holds.forEach(hold => window.PurchaseTracker.releaseReservation(hold.id));
+                return { success: false, error: `Not enough stock left for "${item.record.albumTitle}"` };
+            }
+            holds.push(reservation);
+        }
+
+        const pledges = [];
+        const sold = [];
+        const rollBack = () => {
+            sold.forEach(hold => window.PurchaseTracker.returnStock(hold.recordId, hold.quantity, hold.variantId || null));
+            pledges.forEach(pledge => window.PurchaseTracker.cancelPledge(pledge.recordId, pledge.amount, pledge.tierId, pledge.quantity));
+            holds.filter(hold => !sold.includes(hold)).forEach(hold => window.PurchaseTracker.releaseReservation(hold.id));
+        };
+
+        let error = null;
+        try {
+            for (const item of items.filter(i => i.type === 'crowdfunding')) {
+                const discount = lineDiscounts[item.id] || 0;
+                const pledge = { recordId: item.recordId, amount: Math.round((item.lineTotal - discount) * 100) / 100, tierId: item.tierId || null, quantity: item.quantity };
+                if (!window.PurchaseTracker.processCrowdfundingPurchase(pledge.recordId, pledge.amount, pledge.tierId, pledge.quantity, discount)) {
+                    error = `Your pledge to "${item.record.albumTitle}" could not be made`;
+                    break;
+                }
+                pledges.push(pledge);
+            }
+            for (const hold of error ? [] : holds) {
+                if (!window.PurchaseTracker.confirmReservation(hold.id)) {
+                    error = `Not enough stock left for "${items.find(item => item.recordId === hold.recordId).record.albumTitle}"`;
+                    break;
+                }
+                sold.push(hold);
+            }
+        } catch (thrown) {
+            rollBack();
+            if (thrown.name === 'StockConflictError') {
+                return { success: false, error: 'Stock or pledges changed while you were checking out. Please review your cart and try again.' };
+            }
+            throw thrown;
+        }
+        if (error) {
+            rollBack();
+            return { success: false, error: error };
+        }
+
+        const lineItems = items.map(item => ({
+            recordId: item.recordId,
+            recordTitle: item.record.albumTitle,
+            recordArtist: item.record.artistName,
+            type: item.type,
+            tierId: item.tier ? item.tier.id : null,
+            tierName: item.tier ? item.tier.name : null,
+            variantId: item.variant ? item.variant.id : null,
+            variantName: item.variant ? window.PurchaseTracker.getVariantLabel(item.variant) : null,
+            sku: item.variant ? item.variant.sku : null,
+            backorder: backordered.includes(item.id),
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            discount: lineDiscounts[item.id] || 0,
+            amount: Math.round((item.lineTotal - (lineDiscounts[item.id] || 0)) * 100) / 100
+        }));
+
+        this.clear();
+        return {
+            success: true,
+            lineItems: lineItems,
+            subtotal: lineItems.reduce((sum, line) => sum + line.amount, 0)
+        };
+    }
+
+    /**
+     * Update any cart counters on the page and tell listeners
+     */
+    notifyChange() {
+        const count = this.getItemCount();
+        document.querySelectorAll('.cart-count').forEach(el => {
+            el.textContent = count;
+        });
+        window.dispatchEvent(new CustomEvent('cartUpdate', {
+            detail: { count }
+        }));
+    }
+}
+
+// Global instance
+window.ShoppingCart = new ShoppingCart();
+
+// Show the cart count once the page is ready and when another tab changes the cart
+document.addEventListener('DOMContentLoaded', () => {
+    window.ShoppingCart.notifyChange();
+});
+window.addEventListener('dataStoreSync', (event) => {
+    if (event.detail.keys.includes('cart')) {
+        window.ShoppingCart.notifyChange();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShoppingCart;
+}
@@ -0,0 +1,160 @@
+/**
+ * Wax Encounters - Currency
+ * Prices are stored and settled in euros; shoppers can view them in another currency
+ * using the exchange rates the admin keeps on the dashboard
+ * Anything that shows a price formats it through Currency.format so symbols and decimals stay consistent
+ */
+
+class CurrencyConverter {
+    constructor() {
+        this.baseCurrency = 'EUR';
+        this.storageKey = 'exchangeRates';
+        this.preferenceKey = 'displayCurrency';
+        this.currencies = {
+            EUR: { name: 'Euro', locale: 'en-IE' },
+            USD: { name: 'US Dollar', locale: 'en-US' },
+            GBP: { name: 'British Pound', locale: 'en-GB' },
+            JPY: { name: 'Japanese Yen', locale: 'en-US' }
+        };
+        // Units of each currency per euro, used until the admin saves their own
+        this.defaultRates = { USD: 1.08, GBP: 0.85, JPY: 160 };
+    }
+
+    /**
+     * Current exchange rates (units per euro) and when they were last updated
+     */
+    getRates() {
+        const stored = window.DataStore.get(this.storageKey, null);
+        return {
+            rates: { ...this.defaultRates, ...(stored ? stored.rates : {}), [this.baseCurrency]: 1 },
+            updatedAt: stored ? stored.updatedAt : null
+        };
+    }
+
+    /**
+     * Replace the exchange-rate table
+     */
+    saveRates(rates) {
+        const cleaned = {};
+        for (const code of Object.keys(this.currencies).filter(code => code !== this.baseCurrency)) {
+            const rate = Number(rates[code]);
+            if (!(rate > 0)) {
+                return { success: false, error: `Please enter a rate above 0 for ${code}` };
+            }
+            cleaned[code] = rate;
+        }
+
+        window.DataStore.set(this.storageKey, { rates: cleaned, updatedAt: new Date().toISOString() });
+        this.notifyChange();
+        return { success: true };
+    }
+
+    /**
+     * Currency the shopper chose to see prices in
+     */
+    getDisplayCurrency() {
+        const code = localStorage.getItem(this.preferenceKey);
+        return this.currencies[code] ? code : this.baseCurrency;
+    }
+
+    /**
+     * Remember the shopper's currency and redraw prices
+     */
+    setDisplayCurrency(code) {
+        if (!this.currencies[code]) {
+            return false;
+        }
+        localStorage.setItem(this.preferenceKey, code);
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * Units of a currency per euro
+     */
+    getRate(currency = this.getDisplayCurrency()) {
+        return this.getRates().rates[currency] || 1;
+    }
+
+    /**
+     * Decimal places a currency is shown with (none for yen)
+     */
+    getFractionDigits(currency) {
+        return new Intl.NumberFormat(this.currencies[currency].locale, { style: 'currency', currency: currency })
+            .resolvedOptions().maximumFractionDigits;
+    }
+
+    /**
+     * Convert a euro amount, rounded the way the currency is shown
+     */
+    convert(amountEur, currency = this.getDisplayCurrency()) {
+        const factor = Math.pow(10, this.getFractionDigits(currency));
+        return Math.round((amountEur || 0) * this.getRate(currency) * factor) / factor;
+    }
+
+    /**
+     * Convert an amount in another currency back to euros
+     */
+    toEur(amount, currency) {
+        return Math.round((amount || 0) / this.getRate(currency) * 100) / 100;
+    }
+
+    /**
+     * Format a euro amount in the shopper's currency (or the one given)
+     */
+    format(amountEur, currency = this.getDisplayCurrency()) {
+        return new Intl.NumberFormat(this.currencies[currency].locale, { style: 'currency', currency: currency })
+            .format(this.convert(amountEur, currency));
+    }
+
+    /**
+     * Format an amount in euros, for the admin and anything settled in euros
+     */
+    formatEur(amountEur) {
+        return this.format(amountEur, this.baseCurrency);
+    }
+
+    /**
+     * Fill every currency selector on the page and keep them in step with the preference
+     */
+    initSelectors() {
+        const current = this.getDisplayCurrency();
+        document.querySelectorAll('select.currency-select').forEach(select => {
+            select.innerHTML = Object.keys(this.currencies)
+                .map(code => `<option value="${code}" style="color:#000" ${code === current ? 'selected' : ''}>${code}</option>`)
+                .join('');
+            select.onchange = () => this.setDisplayCurrency(select.value);
+        });
+    }
+
+    /**
+     * Tell the page that prices need redrawing
+     */
+    notifyChange() {
+        const currency = this.getDisplayCurrency();
+        document.querySelectorAll('select.currency-select').forEach(select => {
+            select.value = currency;
+        });
+        window.dispatchEvent(new CustomEvent('currencyChange', {
+            detail: { currency }
+        }));
+    }
+}
+
+// Global instance
+window.Currency = new CurrencyConverter();
+
+// Set up selectors once the page is ready and redraw when the admin changes the rates elsewhere
+document.addEventListener('DOMContentLoaded', () => {
+    window.Currency.initSelectors();
+});
+window.addEventListener('dataStoreSync', (event) => {
+    if (event.detail.keys.includes('exchangeRates')) {
+        window.Currency.notifyChange();
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurrencyConverter;
+}
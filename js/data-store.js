@@ -0,0 +1,475 @@
+/**
+ * Wax Encounters - Data Store
+ * Pluggable persistence for records, orders and other shop data
+ * Reads are served synchronously from a local cache, writes go through the configured backend
+ *
+ * Select a backend with DataStore.setBackend({ type: 'rest', url: 'http://localhost:3001' }),
+ * which copies the current data across and is remembered in localStorage 'storageBackend'
+ *
+ * Backend writes run one at a time per collection and wait for DataStore.ready. Lists of
+ * { id } items are sent as per-item changes, anything else as a versioned replace; the server
+ * refuses stale writes and the collection is then reloaded from it
+ */
+
+/**
+ * Raised by a backend that refused a write based on an outdated copy of a collection
+ */
+class StaleWriteError extends Error {
+    constructor(key) {
+        super(`${key} was changed by another client`);
+        this.name = 'StaleWriteError';
+        this.key = key;
+    }
+}
+
+/**
+ * Backend that keeps everything in localStorage (default)
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'local';
+    }
+
+    async load(key) {
+        const value = localStorage.getItem(key);
+        return value === null ? undefined : JSON.parse(value);
+    }
+
+    async save(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+/**
+ * Backend that keeps data in IndexedDB (no 5MB quota, survives localStorage clears)
+ */
+class IndexedDBAdapter {
+    constructor(options = {}) {
+        this.name = 'indexeddb';
+        this.dbName = options.dbName || 'wax_encounters';
+        this.storeName = options.storeName || 'collections';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create if needed) the database
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async load(key) {
+        return this.run('readonly', store => store.get(key));
+    }
+
+    async save(key, value) {
+        await this.run('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+}
+
+/**
+ * Backend that talks to a local JSON server (see server/data-server.js)
+ */
+class RestStorageAdapter {
+    constructor(options = {}) {
+        this.name = 'rest';
+        this.baseUrl = (options.url || 'http://localhost:3001').replace(/\/$/, '');
+        this.timeout = options.timeout || 5000;
+        this.versions = {};
+    }
+
+    /**
+     * Perform a request with a timeout, remembering the collection version the server reports
+     */
+    async request(method, key, body, headers = {}, path = `/collections/${encodeURIComponent(key)}`) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (response.status === 404) {
+                delete this.versions[key];
+                return undefined;
+            }
+            if (response.status === 409) {
+                throw new StaleWriteError(key);
+            }
+            if (!response.ok) {
+                throw new Error(`Storage server responded with ${response.status}`);
+            }
+
+            const version = response.headers.get('ETag');
+            if (version !== null) {
+                this.versions[key] = version;
+            }
+            return response.status === 204 ? undefined : response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async load(key) {
+        return this.request('GET', key);
+    }
+
+    /**
+     * Send per-item changes when there are any, otherwise replace the collection
+     * if it is still at the version this client last saw
+     */
+    async save(key, value, changes = null) {
+        if (changes) {
+            await this.request('PATCH', key, changes);
+            return;
+        }
+
+        const version = this.versions[key];
+        await this.request('PUT', key, value, version === undefined ? {} : { 'If-Match': version });
+    }
+
+    async remove(key) {
+        await this.request('DELETE', key);
+    }
+
+    /**
+     * Take the next value of a server-side counter
+     */
+    async increment(name, floor) {
+        const result = await this.request('POST', name, { floor }, {}, `/counters/${encodeURIComponent(name)}`);
+        return result.value;
+    }
+}
+
+class DataStore {
+    constructor() {
+        this.configKey = 'storageBackend';
+        this.collections = ['uploadedRecords', 'orders', 'stockReservations', 'refunds', 'recordEvents', 'alertSettings', 'adminNotifications', 'waitlist', 'promotions', 'exchangeRates', 'invoices', 'paymentIntents', 'shippingRules', 'shippingProvider'];
+        this.cache = {};
+        this.unmirrored = new Set();
+        this.queues = {};
+        this.pending = {};
+        this.deferred = new Set();
+        this.hydrated = false;
+        this.refreshing = null;
+        this.adapter = this.createAdapter(this.getConfig());
+        this.ready = this.hydrate();
+
+        // Keep the cache in sync with writes made by other tabs
+        window.addEventListener('storage', (event) => {
+            if (event.key && event.key in this.cache) {
+                delete this.cache[event.key];
+                this.unmirrored.delete(event.key);
+                this.notifySync([event.key]);
+            }
+        });
+
+        // Pick up writes other browsers made to the shared backend
+        window.addEventListener('focus', () => this.refresh());
+    }
+
+    /**
+     * Read the backend configuration ({ type: 'local' | 'indexeddb' | 'rest', url })
+     */
+    getConfig() {
+        try {
+            return JSON.parse(localStorage.getItem(this.configKey)) || { type: 'local' };
+        } catch (error) {
+            return { type: 'local' };
+        }
+    }
+
+    /**
+     * Build the adapter for a backend configuration
+     */
+    createAdapter(config) {
+        switch (config.type) {
+            case 'indexeddb':
+                return new IndexedDBAdapter(config);
+            case 'rest':
+                return new RestStorageAdapter(config);
+            default:
+                return new LocalStorageAdapter();
+        }
+    }
+
+    /**
+     * Load collections from the backend into the local cache
+     * Collections with writes still on their way to the backend are loaded once those are done
+     */
+    async hydrate(keys = this.collections) {
+        if (this.adapter instanceof LocalStorageAdapter) {
+            return true;
+        }
+
+        const changed = [];
+        try {
+            for (const key of keys) {
+                if (this.pending[key] > 0) {
+                    this.deferred.add(key);
+                    continue;
+                }
+                const value = await this.adapter.load(key);
+                if (this.pending[key] > 0) {
+                    this.deferred.add(key);
+                    continue;
+                }
+                if (value === undefined) {
+                    continue;
+                }
+                const previous = key in this.cache ? this.cache[key] : localStorage.getItem(key);
+                if (JSON.stringify(value) !== previous) {
+                    changed.push(key);
+                }
+                this.setCached(key, value);
+            }
+        } catch (error) {
+            console.error(`Could not load data from ${this.adapter.name} backend:`, error);
+            this.hydrated = true;
+            return false;
+        }
+
+        this.hydrated = true;
+        if (changed.length > 0) {
+            this.notifySync(changed);
+        }
+        return true;
+    }
+
+    /**
+     * Reload every collection from the backend (one reload at a time)
+     */
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.ready
+                .then(() => this.hydrate())
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    }
+
+    /**
+     * Get a copy of a collection synchronously from the cache
+     */
+    get(key, fallback = null) {
+        if (!(key in this.cache) && !this.unmirrored.has(key)) {
+            this.cache[key] = localStorage.getItem(key);
+        }
+
+        const serialized = this.cache[key];
+        if (serialized === null || serialized === undefined) {
+            return fallback;
+        }
+
+        try {
+            return JSON.parse(serialized);
+        } catch (error) {
+            console.error(`Corrupt data in ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Store a collection: update the cache, mirror to localStorage and persist to the backend
+     * Callers should wait for DataStore.ready first so the value is based on the backend's data
+     */
+    set(key, value) {
+        const shared = this.isShared(key);
+        const previous = shared ? this.get(key) : null;
+        this.setCached(key, value);
+
+        if (shared) {
+            if (!this.hydrated) {
+                console.warn(`${key} was written before DataStore.ready; the write may be refused as stale`);
+            }
+
+            const changes = this.diff(previous, value);
+            if (!changes || changes.upsert.length > 0 || changes.remove.length > 0) {
+                this.enqueue(key, adapter => adapter.save(key, value, changes));
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Per-item changes between two copies of a list of { id } items, or null for any other value
+     */
+    diff(previous, value) {
+        const isItemList = list => Array.isArray(list) && list.every(item => item && typeof item === 'object' && item.id !== undefined);
+        const before = previous === null ? [] : previous;
+        if (!isItemList(before) || !isItemList(value)) {
+            return null;
+        }
+
+        const serialized = new Map(before.map(item => [item.id, JSON.stringify(item)]));
+        const ids = new Set(value.map(item => item.id));
+        return {
+            upsert: value.filter(item => serialized.get(item.id) !== JSON.stringify(item)),
+            remove: before.filter(item => !ids.has(item.id)).map(item => item.id)
+        };
+    }
+
+    /**
+     * Run a backend write after DataStore.ready and after earlier writes to the same collection
+     * A write refused as stale reloads the collection from the backend
+     */
+    enqueue(key, write) {
+        this.pending[key] = (this.pending[key] || 0) + 1;
+
+        this.queues[key] = (this.queues[key] || this.ready)
+            .then(() => write(this.adapter))
+            .then(() => null, error => error)
+            .then(error => {
+                this.pending[key]--;
+                if (error instanceof StaleWriteError) {
+                    console.warn(`${key} was changed elsewhere, reloading it from the ${this.adapter.name} backend`);
+                    return this.hydrate([key]);
+                }
+                if (error) {
+                    console.error(`Could not save ${key} to ${this.adapter.name} backend:`, error);
+                }
+                if (this.pending[key] === 0 && this.deferred.delete(key)) {
+                    return this.hydrate([key]);
+                }
+            });
+        return this.queues[key];
+    }
+
+    /**
+     * Next value of a named counter (e.g. an invoice sequence), handed out once across every
+     * browser sharing the backend. floor is the highest value already in use
+     */
+    async nextValue(name, floor = 0) {
+        await this.ready;
+        if (typeof this.adapter.increment === 'function') {
+            return this.adapter.increment(name, floor);
+        }
+        // A backend kept in this browser has no other writers
+        return floor + 1;
+    }
+
+    /**
+     * Remove a collection everywhere
+     */
+    remove(key) {
+        delete this.cache[key];
+        this.unmirrored.delete(key);
+        localStorage.removeItem(key);
+
+        if (this.isShared(key)) {
+            this.enqueue(key, adapter => adapter.remove(key));
+        }
+    }
+
+    /**
+     * Whether a key is persisted to the backend (anything else, e.g. the cart, stays in this browser)
+     */
+    isShared(key) {
+        return !(this.adapter instanceof LocalStorageAdapter) && this.collections.includes(key);
+    }
+
+    /**
+     * Update the cache and the localStorage mirror
+     */
+    setCached(key, value) {
+        const serialized = JSON.stringify(value);
+        this.cache[key] = serialized;
+
+        try {
+            localStorage.setItem(key, serialized);
+            this.unmirrored.delete(key);
+        } catch (error) {
+            // The localStorage quota is only a limit for data that lives nowhere else
+            if (!this.isShared(key)) {
+                delete this.cache[key];
+                throw error;
+            }
+            localStorage.removeItem(key);
+            this.unmirrored.add(key);
+        }
+    }
+
+    /**
+     * Switch to another backend, copying the current data across
+     */
+    async setBackend(config) {
+        const adapter = this.createAdapter(config);
+        try {
+            for (const key of this.collections) {
+                const value = this.get(key);
+                if (value !== null) {
+                    await adapter.save(key, value);
+                }
+            }
+        } catch (error) {
+            console.error('Storage backend migration failed:', error);
+            return { success: false, error: error.message };
+        }
+
+        localStorage.setItem(this.configKey, JSON.stringify(config));
+        this.adapter = adapter;
+        return { success: true, message: `Data now stored in ${adapter.name} backend` };
+    }
+
+    /**
+     * Tell listeners that collections changed underneath them
+     */
+    notifySync(keys) {
+        window.dispatchEvent(new CustomEvent('dataStoreSync', {
+            detail: { keys }
+        }));
+    }
+}
+
+// Global instance
+window.DataStore = new DataStore();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataStore, LocalStorageAdapter, IndexedDBAdapter, RestStorageAdapter, StaleWriteError };
+}
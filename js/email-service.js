@@ -335,9 +335,10 @@ class EmailService {
     }
 
     /**
-     * Send order confirmation email
+     * Send order confirmation email, optionally with the invoice attached
+     * (pass the result of Invoices.getAttachment)
      */
-    async sendOrderConfirmation(userEmail, userName, orderDetails) {
+    async sendOrderConfirmation(userEmail, userName, orderDetails, invoice = null) {
         try {
             if (!this.serviceId || this.serviceId === 'YOUR_EMAILJS_SERVICE_ID') {
                 console.warn('EmailJS not configured - simulating order confirmation email');
@@ -352,7 +353,11 @@ class EmailService {
                 product_name: orderDetails.productName,
                 order_number: orderDetails.orderNumber,
                 total_amount: orderDetails.totalAmount,
-                subject: `Order Confirmation - ${orderDetails.productName}`
+                invoice_number: invoice ? invoice.number : '',
+                invoice_filename: invoice ? invoice.fileName : '',
+                invoice_attachment: invoice ? invoice.data : '',
+                subject: `Order Confirmation - ${orderDetails.productName}`,
+                message_html: this.getOrderConfirmationTemplate(userName, { ...orderDetails, invoiceNumber: invoice ? invoice.number : null })
             };
 
             const response = await emailjs.send(
@@ -417,6 +422,7 @@ class EmailService {
                 <p><strong>Order Number:</strong> ${orderDetails.orderNumber}</p>
                 <p><strong>Product:</strong> ${orderDetails.productName}</p>
                 <p><strong>Total Amount:</strong> €${orderDetails.totalAmount}</p>
+                ${orderDetails.invoiceNumber ? `<p><strong>Invoice:</strong> ${orderDetails.invoiceNumber} (attached)</p>` : ''}
             </div>
             
             <p>You will receive another email when your order ships.</p>
@@ -433,6 +439,672 @@ class EmailService {
 </html>`;
     }
 
+    /**
+     * Send refund notice to a backer of a campaign that missed its funding goal
+     */
+    async sendCampaignRefundNotification(userEmail, userName, refundDetails) {
+        try {
+            if (!this.serviceId || this.serviceId === 'YOUR_EMAILJS_SERVICE_ID') {
+                console.warn('EmailJS not configured - simulating campaign refund email');
+                return { success: true, message: 'Campaign refund email simulated', simulated: true };
+            }
+
+            if (typeof emailjs === 'undefined') {
+                throw new Error('EmailJS library not loaded. Please check if the EmailJS script is included.');
+            }
+
+            const templateParams = {
+                to_email: userEmail,
+                to_name: userName,
+                from_name: this.fromName,
+                product_name: refundDetails.recordTitle,
+                order_number: refundDetails.orderNumber,
+                refund_amount: refundDetails.amount,
+                subject: refundDetails.voided ?
+                    `Campaign Unsuccessful - You will not be charged for ${refundDetails.recordTitle}` :
+                    `Campaign Unsuccessful - Refund for ${refundDetails.recordTitle}`,
+                message_html: this.getCampaignRefundTemplate(userName, refundDetails)
+            };
+
+            const response = await emailjs.send(
+                this.serviceId,
+                'refund_template',
+                templateParams,
+                this.publicKey
+            );
+
+            if (response.status === 200) {
+                console.log('Campaign refund email sent successfully');
+                return {
+                    success: true,
+                    message: 'Campaign refund email sent successfully',
+                    response: response
+                };
+            } else {
+                throw new Error(`EmailJS API error: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to send campaign refund email:', error);
+            return {
+                success: false,
+                message: 'Failed to send campaign refund email',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get campaign refund email template
+     */
+    getCampaignRefundTemplate(userName, refundDetails) {
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Campaign Refund - Wax Encounters</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #c77ab4, #8b5cf6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .order-details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🎵 Wax Encounters</h1>
+            <p>Campaign Update</p>
+        </div>
+        <div class="content">
+            <h2>Hello ${userName},</h2>
+            <p>Unfortunately the crowdfunding campaign for <strong>${refundDetails.recordTitle}</strong> ended without reaching its funding goal, so the record will not be pressed.</p>
+            <p>Campaigns on Wax Encounters are all-or-nothing, which means ${refundDetails.voided ? 'you will not be charged for your pledge' : 'your pledge is refunded in full'}.</p>
+            
+            <div class="order-details">
+                <h3>${refundDetails.voided ? 'Pledge Details:' : 'Refund Details:'}</h3>
+                <p><strong>Order Number:</strong> ${refundDetails.orderNumber}</p>
+                <p><strong>Record:</strong> ${refundDetails.recordTitle}</p>
+                <p><strong>${refundDetails.voided ? 'Pledge Amount' : 'Refund Amount'}:</strong> €${refundDetails.amount}</p>
+            </div>
+            
+            ${refundDetails.voided ?
+                '<p>The hold placed on your card or PayPal account when you pledged has been released. Depending on your bank it may take a few business days to disappear from your statement.</p>' :
+                '<p>The refund goes back to your original payment method and may take a few business days to appear.</p>'}
+            <p>Thank you for supporting independent artists and the vinyl community!</p>
+            
+            <p>Best regards,<br>The Wax Encounters Team</p>
+        </div>
+        <div class="footer">
+            <p>© 2024 Wax Encounters. All rights reserved.</p>
+            <p>For support, contact us at waxencounters@gmail.com</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Send refund confirmation email for a refund made from the admin dashboard
+     */
+    async sendRefundConfirmation(userEmail, userName, refundDetails) {
+        try {
+            if (!this.serviceId || this.serviceId === 'YOUR_EMAILJS_SERVICE_ID') {
+                console.warn('EmailJS not configured - simulating refund confirmation email');
+                return { success: true, message: 'Refund confirmation email simulated', simulated: true };
+            }
+
+            if (typeof emailjs === 'undefined') {
+                throw new Error('EmailJS library not loaded. Please check if the EmailJS script is included.');
+            }
+
+            const templateParams = {
+                to_email: userEmail,
+                to_name: userName,
+                from_name: this.fromName,
+                product_name: refundDetails.items.join(', '),
+                order_number: refundDetails.orderNumber,
+                refund_amount: refundDetails.amount,
+                subject: `${refundDetails.full ? 'Refund' : 'Partial refund'} for order ${refundDetails.orderNumber}`,
+                message_html: this.getRefundConfirmationTemplate(userName, refundDetails)
+            };
+
+            const response = await emailjs.send(
+                this.serviceId,
+                'refund_template',
+                templateParams,
+                this.publicKey
+            );
+
+            if (response.status === 200) {
+                console.log('Refund confirmation email sent successfully');
+                return {
+                    success: true,
+                    message: 'Refund confirmation email sent successfully',
+                    response: response
+                };
+            } else {
+                throw new Error(`EmailJS API error: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to send refund confirmation email:', error);
+            return {
+                success: false,
+                message: 'Failed to send refund confirmation email',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get refund confirmation email template
+     */
+    getRefundConfirmationTemplate(userName, refundDetails) {
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Refund Confirmation - Wax Encounters</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #c77ab4, #8b5cf6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .order-details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🎵 Wax Encounters</h1>
+            <p>${refundDetails.full ? 'Refund Confirmation' : 'Partial Refund Confirmation'}</p>
+        </div>
+        <div class="content">
+            <h2>Hello ${userName},</h2>
+            <p>We have ${refundDetails.full ? 'refunded your order' : 'made a partial refund on your order'} <strong>${refundDetails.orderNumber}</strong>.</p>
+            
+            <div class="order-details">
+                <h3>Refund Details:</h3>
+                <p><strong>Order Number:</strong> ${refundDetails.orderNumber}</p>
+                ${refundDetails.invoiceNumber ? `<p><strong>Invoice:</strong> ${refundDetails.invoiceNumber}</p>` : ''}
+                <p><strong>Items:</strong> ${refundDetails.items.join(', ')}</p>
+                ${refundDetails.refundedAmount > 0 ? `<p><strong>Refund Amount:</strong> €${refundDetails.refundedAmount.toFixed(2)}</p>` : ''}
+                ${refundDetails.voidedAmount > 0 ? `<p><strong>Pledge Released:</strong> €${refundDetails.voidedAmount.toFixed(2)} (you will not be charged)</p>` : ''}
+                ${refundDetails.reason ? `<p><strong>Reason:</strong> ${refundDetails.reason}</p>` : ''}
+            </div>
+            
+            ${refundDetails.method === 'manual' ?
+                '<p>The refund will be sent by bank transfer to the account details you gave us and may take a few business days to arrive.</p>' :
+                '<p>The refund goes back to your original payment method and may take a few business days to appear.</p>'}
+            <p>If you have any questions about this refund, just reply to this email.</p>
+            
+            <p>Best regards,<br>The Wax Encounters Team</p>
+        </div>
+        <div class="footer">
+            <p>© 2024 Wax Encounters. All rights reserved.</p>
+            <p>For support, contact us at waxencounters@gmail.com</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Send a shipping update (order shipped, out for delivery or delivered) with the tracking details
+     */
+    async sendShippingUpdate(userEmail, userName, shippingDetails) {
+        try {
+            if (!this.serviceId || this.serviceId === 'YOUR_EMAILJS_SERVICE_ID') {
+                console.warn('EmailJS not configured - simulating shipping update email');
+                return { success: true, message: 'Shipping update email simulated', simulated: true };
+            }
+
+            if (typeof emailjs === 'undefined') {
+                throw new Error('EmailJS library not loaded. Please check if the EmailJS script is included.');
+            }
+
+            const subjects = {
+                shipped: `Your order ${shippingDetails.orderNumber} has shipped`,
+                out_for_delivery: `Your order ${shippingDetails.orderNumber} is out for delivery`,
+                delivered: `Your order ${shippingDetails.orderNumber} has been delivered`
+            };
+            const templateParams = {
+                to_email: userEmail,
+                to_name: userName,
+                from_name: this.fromName,
+                product_name: shippingDetails.items.join(', '),
+                order_number: shippingDetails.orderNumber,
+                carrier: shippingDetails.carrier || '',
+                tracking_number: shippingDetails.trackingNumber || '',
+                tracking_url: shippingDetails.trackingUrl || '',
+                subject: subjects[shippingDetails.stage],
+                message_html: this.getShippingUpdateTemplate(userName, shippingDetails)
+            };
+
+            const response = await emailjs.send(
+                this.serviceId,
+                'shipping_template',
+                templateParams,
+                this.publicKey
+            );
+
+            if (response.status === 200) {
+                console.log('Shipping update email sent successfully');
+                return {
+                    success: true,
+                    message: 'Shipping update email sent successfully',
+                    response: response
+                };
+            } else {
+                throw new Error(`EmailJS API error: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to send shipping update email:', error);
+            return {
+                success: false,
+                message: 'Failed to send shipping update email',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get shipping update email template
+     */
+    getShippingUpdateTemplate(userName, shippingDetails) {
+        const stages = {
+            shipped: {
+                title: 'Your Order Has Shipped',
+                message: 'Good news - your records are packed and on their way to you!'
+            },
+            out_for_delivery: {
+                title: 'Out for Delivery',
+                message: 'Your parcel is out for delivery and should arrive today.'
+            },
+            delivered: {
+                title: 'Delivered',
+                message: 'Your parcel has been delivered. We hope you enjoy your records!'
+            }
+        };
+        const stage = stages[shippingDetails.stage];
+        const estimated = shippingDetails.estimatedDelivery && shippingDetails.stage === 'shipped' ?
+            new Date(shippingDetails.estimatedDelivery).toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long' }) : null;
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${stage.title} - Wax Encounters</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #c77ab4, #8b5cf6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .order-details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .button { display: inline-block; background: linear-gradient(135deg, #c77ab4, #8b5cf6); color: white; padding: 15px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🎵 Wax Encounters</h1>
+            <p>${stage.title}</p>
+        </div>
+        <div class="content">
+            <h2>Hello ${userName},</h2>
+            <p>${stage.message}</p>
+            
+            <div class="order-details">
+                <h3>Shipment Details:</h3>
+                <p><strong>Order Number:</strong> ${shippingDetails.orderNumber}</p>
+                <p><strong>Items:</strong> ${shippingDetails.items.join(', ')}</p>
+                ${shippingDetails.carrier ? `<p><strong>Carrier:</strong> ${shippingDetails.carrier}${shippingDetails.service ? ` (${shippingDetails.service})` : ''}</p>` : ''}
+                ${shippingDetails.trackingNumber ? `<p><strong>Tracking Number:</strong> ${shippingDetails.trackingNumber}</p>` : ''}
+                ${estimated ? `<p><strong>Expected Delivery:</strong> ${estimated}</p>` : ''}
+                ${shippingDetails.address ? `<p><strong>Shipping To:</strong> ${shippingDetails.address}</p>` : ''}
+            </div>
+            
+            ${shippingDetails.trackingUrl ? `
+            <div style="text-align: center;">
+                <a href="${shippingDetails.trackingUrl}" class="button">Track Your Parcel</a>
+            </div>` : ''}
+            ${shippingDetails.stage === 'delivered' ?
+                '<p>If anything arrived damaged or is missing, just reply to this email and we will sort it out.</p>' :
+                shippingDetails.trackingNumber ? '<p>Tracking updates can take a few hours to appear on the carrier\'s site.</p>' : ''}
+            
+            <p>Best regards,<br>The Wax Encounters Team</p>
+        </div>
+        <div class="footer">
+            <p>© 2024 Wax Encounters. All rights reserved.</p>
+            <p>For support, contact us at waxencounters@gmail.com</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Send campaign milestone email (funding goal or stretch goal reached) to a backer
+     */
+    async sendCampaignMilestoneNotification(userEmail, userName, milestoneDetails) {
+        try {
+            if (!this.serviceId || this.serviceId === 'YOUR_EMAILJS_SERVICE_ID') {
+                console.warn('EmailJS not configured - simulating campaign milestone email');
+                return { success: true, message: 'Campaign milestone email simulated', simulated: true };
+            }
+
+            if (typeof emailjs === 'undefined') {
+                throw new Error('EmailJS library not loaded. Please check if the EmailJS script is included.');
+            }
+
+            const templateParams = {
+                to_email: userEmail,
+                to_name: userName,
+                from_name: this.fromName,
+                product_name: milestoneDetails.recordTitle,
+                milestone_title: milestoneDetails.title,
+                milestone_amount: milestoneDetails.amount,
+                subject: `${milestoneDetails.recordTitle}: ${milestoneDetails.title}!`,
+                message_html: this.getCampaignMilestoneTemplate(userName, milestoneDetails)
+            };
+
+            const response = await emailjs.send(
+                this.serviceId,
+                'milestone_template',
+                templateParams,
+                this.publicKey
+            );
+
+            if (response.status === 200) {
+                console.log('Campaign milestone email sent successfully');
+                return {
+                    success: true,
+                    message: 'Campaign milestone email sent successfully',
+                    response: response
+                };
+            } else {
+                throw new Error(`EmailJS API error: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to send campaign milestone email:', error);
+            return {
+                success: false,
+                message: 'Failed to send campaign milestone email',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get campaign milestone email template
+     */
+    getCampaignMilestoneTemplate(userName, milestoneDetails) {
+        const isStretchGoal = milestoneDetails.type === 'stretch_goal';
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Campaign Milestone - Wax Encounters</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #c77ab4, #8b5cf6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .order-details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .button { display: inline-block; background: linear-gradient(135deg, #c77ab4, #8b5cf6); color: white; padding: 15px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🎵 Wax Encounters</h1>
+            <p>${isStretchGoal ? 'Stretch Goal Unlocked' : 'Campaign Funded'}</p>
+        </div>
+        <div class="content">
+            <h2>Great news, ${userName}!</h2>
+            ${isStretchGoal
+                ? `<p>The campaign for <strong>${milestoneDetails.recordTitle}</strong> passed €${milestoneDetails.amount} and unlocked a stretch goal for every backer.</p>`
+                : `<p>The campaign for <strong>${milestoneDetails.recordTitle}</strong> reached its €${milestoneDetails.amount} funding goal. Thanks to you, this record is going to be pressed!</p>`}
+            
+            <div class="order-details">
+                <h3>${milestoneDetails.title}</h3>
+                ${milestoneDetails.description ? `<p>${milestoneDetails.description}</p>` : ''}
+            </div>
+            
+            <a href="${window.location.origin}/product-detail.html?id=${milestoneDetails.recordId}" class="button">View Campaign</a>
+            <p>Thank you for supporting independent artists and the vinyl community!</p>
+            
+            <p>Best regards,<br>The Wax Encounters Team</p>
+        </div>
+        <div class="footer">
+            <p>© 2024 Wax Encounters. All rights reserved.</p>
+            <p>For support, contact us at waxencounters@gmail.com</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Send a stock or campaign alert to the shop admin
+     */
+    async sendAdminAlert(adminEmail, alertDetails) {
+        try {
+            if (!this.serviceId || this.serviceId === 'YOUR_EMAILJS_SERVICE_ID') {
+                console.warn('EmailJS not configured - simulating admin alert email');
+                return { success: true, message: 'Admin alert email simulated', simulated: true };
+            }
+
+            if (typeof emailjs === 'undefined') {
+                throw new Error('EmailJS library not loaded. Please check if the EmailJS script is included.');
+            }
+
+            const templateParams = {
+                to_email: adminEmail,
+                to_name: 'Wax Encounters Admin',
+                from_name: this.fromName,
+                alert_type: alertDetails.type,
+                message: alertDetails.message,
+                subject: `${alertDetails.type === 'low_stock' ? 'Low Stock' : 'Campaign Ending'}: ${alertDetails.recordTitle}`,
+                message_html: this.getAdminAlertTemplate(alertDetails)
+            };
+
+            const response = await emailjs.send(
+                this.serviceId,
+                'admin_alert_template',
+                templateParams,
+                this.publicKey
+            );
+
+            if (response.status === 200) {
+                console.log('Admin alert email sent successfully');
+                return {
+                    success: true,
+                    message: 'Admin alert email sent successfully',
+                    response: response
+                };
+            } else {
+                throw new Error(`EmailJS API error: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to send admin alert email:', error);
+            return {
+                success: false,
+                message: 'Failed to send admin alert email',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get admin alert email template
+     */
+    getAdminAlertTemplate(alertDetails) {
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Admin Alert - Wax Encounters</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #c77ab4, #8b5cf6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .order-details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .button { display: inline-block; background: linear-gradient(135deg, #c77ab4, #8b5cf6); color: white; padding: 15px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🎵 Wax Encounters</h1>
+            <p>${alertDetails.type === 'low_stock' ? 'Low Stock Alert' : 'Campaign Ending Alert'}</p>
+        </div>
+        <div class="content">
+            <div class="order-details">
+                <p>${alertDetails.message}</p>
+                <p><strong>Alert raised:</strong> ${new Date(alertDetails.createdAt).toLocaleString()}</p>
+            </div>
+            
+            <a href="${window.location.origin}/admin-dashboard.html" class="button">Open Dashboard</a>
+            <p>You can acknowledge or snooze this alert from the dashboard inbox and change thresholds under Alert Rules.</p>
+        </div>
+        <div class="footer">
+            <p>© 2024 Wax Encounters. All rights reserved.</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Tell a waitlisted customer a record is back (with a time-limited purchase link),
+     * or a backorder customer that their record is now on its way
+     */
+    async sendBackInStockNotification(userEmail, userName, stockDetails) {
+        try {
+            if (!this.serviceId || this.serviceId === 'YOUR_EMAILJS_SERVICE_ID') {
+                console.warn('EmailJS not configured - simulating back in stock email');
+                return { success: true, message: 'Back in stock email simulated', simulated: true };
+            }
+
+            if (typeof emailjs === 'undefined') {
+                throw new Error('EmailJS library not loaded. Please check if the EmailJS script is included.');
+            }
+
+            const templateParams = {
+                to_email: userEmail,
+                to_name: userName,
+                from_name: this.fromName,
+                record_title: stockDetails.recordTitle,
+                purchase_url: stockDetails.purchaseUrl || '',
+                expires_at: stockDetails.expiresAt || '',
+                subject: stockDetails.backorder ?
+                    `Your backorder of ${stockDetails.recordTitle} is on its way` :
+                    `${stockDetails.recordTitle} is back in stock`,
+                message_html: this.getBackInStockTemplate(userName, stockDetails)
+            };
+
+            const response = await emailjs.send(
+                this.serviceId,
+                'back_in_stock_template',
+                templateParams,
+                this.publicKey
+            );
+
+            if (response.status === 200) {
+                console.log('Back in stock email sent successfully');
+                return {
+                    success: true,
+                    message: 'Back in stock email sent successfully',
+                    response: response
+                };
+            } else {
+                throw new Error(`EmailJS API error: ${response.status}`);
+            }
+
+        } catch (error) {
+            console.error('Failed to send back in stock email:', error);
+            return {
+                success: false,
+                message: 'Failed to send back in stock email',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get back in stock email template
+     */
+    getBackInStockTemplate(userName, stockDetails) {
+        const recordName = `${stockDetails.recordTitle}${stockDetails.variantName ? ` (${stockDetails.variantName})` : ''}`;
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Back in Stock - Wax Encounters</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #c77ab4, #8b5cf6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .order-details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; }
+        .button { display: inline-block; background: linear-gradient(135deg, #c77ab4, #8b5cf6); color: white; padding: 15px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🎵 Wax Encounters</h1>
+            <p>${stockDetails.backorder ? 'Backorder Fulfilled' : 'Back in Stock'}</p>
+        </div>
+        <div class="content">
+            <h2>Good news, ${userName}!</h2>
+            ${stockDetails.backorder
+                ? `<p><strong>${recordName}</strong> by ${stockDetails.recordArtist} has been restocked and your backorder is being packed for shipping.</p>`
+                : `<p><strong>${recordName}</strong> by ${stockDetails.recordArtist} is back in stock, and because you were on the waitlist we've set ${stockDetails.quantity === 1 ? 'a copy' : `${stockDetails.quantity} copies`} aside for you.</p>`}
+            
+            <div class="order-details">
+                <h3>${stockDetails.backorder ? 'Backorder Details' : 'Your Reserved Copy'}</h3>
+                ${stockDetails.orderNumber ? `<p><strong>Order Number:</strong> ${stockDetails.orderNumber}</p>` : ''}
+                <p><strong>Record:</strong> ${recordName}</p>
+                <p><strong>Quantity:</strong> ${stockDetails.quantity}</p>
+                ${!stockDetails.backorder && stockDetails.expiresAt ? `<p><strong>Reserved until:</strong> ${new Date(stockDetails.expiresAt).toLocaleString()}</p>` : ''}
+            </div>
+            
+            ${stockDetails.purchaseUrl
+                ? `<a href="${stockDetails.purchaseUrl}" class="button">Buy Now</a>
+            <p>After this time the copy goes to the next person on the waitlist.</p>`
+                : '<p>We\'ll email you tracking details as soon as it ships.</p>'}
+            
+            <p>Best regards,<br>The Wax Encounters Team</p>
+        </div>
+        <div class="footer">
+            <p>© 2024 Wax Encounters. All rights reserved.</p>
+            <p>For support, contact us at waxencounters@gmail.com</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
     /**
      * Generate verification link
      */
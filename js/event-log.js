@@ -0,0 +1,168 @@
+/**
+ * Wax Encounters - Record Event Log
+ * Append-only audit trail of every inventory and campaign change
+ * Each event keeps who did it, when, and the tracked fields before and after,
+ * so a record's stock or raised amount can be rebuilt for any point in time
+ */
+
+class EventLog {
+    constructor() {
+        this.storageKey = 'recordEvents';
+        // Fields snapshotted on every event
+        this.trackedFields = ['status', 'quantity', 'sold', 'raised', 'backers', 'fundingGoal', 'price'];
+        // Lists snapshotted item by item, with the item fields kept (variant images stay out of the log)
+        this.trackedLists = {
+            variants: ['id', 'sku', 'quantity', 'sold', 'priceDelta'],
+            rewardTiers: ['id', 'name', 'price', 'limit', 'claimed', 'raised'],
+            stretchGoals: ['id', 'title', 'amount', 'unlockedAt']
+        };
+    }
+
+    /**
+     * Get all events, oldest first
+     */
+    getEvents() {
+        return window.DataStore.get(this.storageKey, []);
+    }
+
+    /**
+     * Work out who is making the change: the admin on admin pages, otherwise the signed-in customer
+     */
+    getActor() {
+        if (window.location.pathname.includes('admin') && localStorage.getItem('adminSession')) {
+            return 'admin';
+        }
+        return localStorage.getItem('userEmail') || localStorage.getItem('verifiedEmail') || 'guest';
+    }
+
+    /**
+     * Copy the tracked fields of a record (null for a record that does not exist)
+     */
+    snapshot(record) {
+        if (!record) {
+            return null;
+        }
+        const snapshot = {};
+        this.trackedFields.forEach(field => {
+            if (record[field] !== undefined) {
+                snapshot[field] = record[field];
+            }
+        });
+        Object.entries(this.trackedLists).forEach(([field, keys]) => {
+            if (Array.isArray(record[field])) {
+                snapshot[field] = record[field].map(item => {
+                    const copy = {};
+                    keys.filter(key => item[key] !== undefined).forEach(key => {
+                        copy[key] = item[key];
+                    });
+                    return copy;
+                });
+            }
+        });
+        return snapshot;
+    }
+
+    /**
+     * Tracked fields an event changed as { field, before, after }, list items included
+     * (e.g. field "rewardTiers[Signed LP].claimed")
+     */
+    getChanges(event) {
+        if (!event.before || !event.after) {
+            return [];
+        }
+
+        const changes = [];
+        Object.keys({ ...event.before, ...event.after }).forEach(field => {
+            const before = event.before[field];
+            const after = event.after[field];
+            if (!this.trackedLists[field]) {
+                if (before !== after) {
+                    changes.push({ field, before, after });
+                }
+                return;
+            }
+
+            const items = new Map();
+            (before || []).forEach(item => items.set(item.id, { before: item }));
+            (after || []).forEach(item => items.set(item.id, { ...items.get(item.id), after: item }));
+            items.forEach(pair => {
+                const item = pair.after || pair.before;
+                const label = `${field}[${item.name || item.title || item.sku || item.id}]`;
+                if (!pair.before || !pair.after) {
+                    changes.push({ field: label, before: pair.before ? 'listed' : null, after: pair.after ? 'listed' : null });
+                    return;
+                }
+                this.trackedLists[field]
+                    .filter(key => key !== 'id' && pair.before[key] !== pair.after[key])
+                    .forEach(key => changes.push({ field: `${label}.${key}`, before: pair.before[key], after: pair.after[key] }));
+            });
+        });
+        return changes;
+    }
+
+    /**
+     * Append an event; before/after are records (or null when created/deleted)
+     */
+    record(action, before, after, details = {}) {
+        const { actor, ...extra } = details;
+        const source = after || before;
+        const event = {
+            id: 'event_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            recordId: source.id,
+            recordTitle: source.albumTitle,
+            recordType: source.type,
+            action: action,
+            actor: actor || this.getActor(),
+            timestamp: new Date().toISOString(),
+            before: this.snapshot(before),
+            after: this.snapshot(after),
+            details: extra
+        };
+
+        const events = this.getEvents();
+        events.push(event);
+        window.DataStore.set(this.storageKey, events);
+        return event;
+    }
+
+    /**
+     * Events for one record, oldest first
+     */
+    getRecordEvents(recordId) {
+        return this.getEvents()
+            .filter(event => event.recordId === recordId)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Rebuild a record's tracked fields as they were at a moment in time
+     * Returns null if the record did not exist yet (or had been deleted)
+     */
+    getStateAt(recordId, time) {
+        const cutoff = new Date(time).getTime();
+        const events = this.getRecordEvents(recordId).filter(event => new Date(event.timestamp).getTime() <= cutoff);
+        if (events.length === 0) {
+            return null;
+        }
+        return events[events.length - 1].after;
+    }
+
+    /**
+     * Records that appear in the log, including deleted ones
+     */
+    getLoggedRecords() {
+        const records = new Map();
+        this.getEvents().forEach(event => {
+            records.set(event.recordId, { id: event.recordId, albumTitle: event.recordTitle, type: event.recordType });
+        });
+        return [...records.values()];
+    }
+}
+
+// Global instance
+window.EventLog = new EventLog();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventLog;
+}
@@ -0,0 +1,385 @@
+/**
+ * Wax Encounters - Invoices
+ * Every order gets an invoice number from one sequence that restarts each calendar year
+ * (INV-2026-0001, INV-2026-0002, ...). Numbers are never reused, so an order keeps its number
+ * and the register in DataStore 'invoices' shows which order each number went to. With a shared
+ * storage backend the server hands out the numbers, so two checkouts never get the same one.
+ * Invoices are printable HTML documents - the browser's print dialog saves them as PDF
+ */
+
+class InvoiceGenerator {
+    constructor() {
+        this.storageKey = 'invoices';
+        this.prefix = 'INV';
+        this.seller = {
+            name: 'Wax Encounters',
+            address1: 'via Monte Sabotino 10',
+            city: 'Bovisio Masciago',
+            postalCode: '20813',
+            country: 'Italy',
+            email: 'waxencounters@gmail.com',
+            phone: '3474211714'
+        };
+        this.paymentMethods = {
+            card: 'Credit / debit card',
+            paypal: 'PayPal'
+        };
+    }
+
+    /**
+     * Register of issued invoice numbers
+     */
+    getInvoices() {
+        return window.DataStore.get(this.storageKey, []);
+    }
+
+    /**
+     * Take the next number in a year's sequence from the storage backend's counter,
+     * which continues from the highest number in the register
+     */
+    async getNextNumber(year = new Date().getFullYear()) {
+        const yearPrefix = `${this.prefix}-${year}-`;
+        const last = this.getInvoices()
+            .filter(invoice => invoice.number.startsWith(yearPrefix))
+            .reduce((max, invoice) => Math.max(max, parseInt(invoice.number.slice(yearPrefix.length), 10) || 0), 0);
+        const next = await window.DataStore.nextValue(`invoice-${year}`, last);
+        return yearPrefix + String(next).padStart(4, '0');
+    }
+
+    /**
+     * Give an order its invoice number, or return the one it already has
+     */
+    async issueInvoice(orderId) {
+        const existing = window.PurchaseTracker.getOrders().find(o => o.id === orderId);
+        if (!existing) {
+            return { success: false, error: 'Order not found' };
+        }
+        if (existing.invoiceNumber) {
+            return { success: true, order: existing, number: existing.invoiceNumber };
+        }
+
+        const issuedAt = new Date().toISOString();
+        let number;
+        try {
+            number = await this.getNextNumber(new Date(issuedAt).getFullYear());
+        } catch (error) {
+            console.error('Could not get an invoice number:', error);
+            return { success: false, error: 'The invoice could not be numbered right now. Please try again.' };
+        }
+
+        // Orders are read again: they may have changed while the number was fetched
+        const orders = window.PurchaseTracker.getOrders();
+        const order = orders.find(o => o.id === orderId);
+        if (!order) {
+            return { success: false, error: 'Order not found' };
+        }
+        if (order.invoiceNumber) {
+            return { success: true, order: order, number: order.invoiceNumber };
+        }
+
+        const invoices = this.getInvoices();
+        invoices.push({ number: number, orderId: order.id, issuedAt: issuedAt });
+        window.DataStore.set(this.storageKey, invoices);
+
+        order.invoiceNumber = number;
+        order.invoiceDate = issuedAt;
+        window.PurchaseTracker.saveOrders(orders);
+        return { success: true, order: order, number: number };
+    }
+
+    /**
+     * Escape customer-entered text before it goes into the document
+     */
+    escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Amounts, lines and VAT of an order as they appear on its invoice.
+     * Orders placed before VAT and discounts were recorded fall back to what they have
+     */
+    getInvoiceData(order) {
+        const lines = (order.lineItems || [{
+            recordId: order.recordId,
+            recordTitle: order.recordTitle,
+            recordArtist: order.recordArtist,
+            type: order.type,
+            quantity: order.quantity || 1,
+            amount: order.amount
+        }]).map(line => {
+            const quantity = line.quantity || 1;
+            const discount = line.discount || 0;
+            return {
+                description: line.recordTitle + (line.recordArtist ? ` - ${line.recordArtist}` : ''),
+                details: [
+                    line.type === 'crowdfunding' ? 'Pre-order' : 'Vinyl record',
+                    line.tierName,
+                    line.variantName,
+                    line.sku ? `SKU ${line.sku}` : null
+                ].filter(Boolean).join(' • '),
+                quantity: quantity,
+                unitPrice: line.unitPrice !== undefined ? line.unitPrice : Math.round(((line.amount || 0) + discount) / quantity * 100) / 100,
+                discount: discount,
+                amount: line.amount || 0
+            };
+        });
+
+        const goods = Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+        const shippingDiscount = order.discount ? order.discount.shippingDiscount || 0 : 0;
+        const shipping = order.shippingCost !== undefined ? order.shippingCost :
+            order.net !== undefined ? Math.round((order.net - goods + shippingDiscount) * 100) / 100 :
+            order.shipping ? order.shipping.price || 0 : 0;
+        const net = order.net !== undefined ? order.net : Math.round((goods + shipping - shippingDiscount) * 100) / 100;
+        const tax = order.tax || 0;
+
+        return {
+            number: order.invoiceNumber,
+            date: order.invoiceDate || order.timestamp,
+            orderId: order.id,
+            orderDate: order.timestamp,
+            seller: this.seller,
+            buyer: {
+                name: order.customerName,
+                email: window.PurchaseTracker.getOrderEmail(order),
+                address: order.recipient || null
+            },
+            lines: lines,
+            goods: goods,
+            discountCode: order.discount ? order.discount.code : null,
+            shipping: shipping,
+            shippingDiscount: shippingDiscount,
+            net: net,
+            tax: tax,
+            gross: order.gross !== undefined ? order.gross : Math.round((net + tax) * 100) / 100,
+            vat: order.vat || null,
+            paymentMethod: this.paymentMethods[order.paymentMethod] || 'Not recorded',
+            displayCurrency: order.displayCurrency && order.displayCurrency !== window.Currency.baseCurrency ? order.displayCurrency : null,
+            displayAmount: order.displayAmount,
+            refundedAmount: order.refundedAmount || 0
+        };
+    }
+
+    /**
+     * Line under the totals explaining which VAT applies
+     */
+    getVatNote(vat) {
+        if (!vat) {
+            return 'Order placed before VAT was itemised at checkout.';
+        }
+        const notes = {
+            domestic: 'Italian VAT charged on a domestic sale.',
+            origin: 'Distance sale within the EU below the OSS threshold - Italian VAT charged.',
+            oss: `Distance sale within the EU - ${vat.taxCountry} VAT charged under the One-Stop Shop scheme.`,
+            export: 'Export outside the EU - not subject to Italian VAT (art. 8 DPR 633/72).'
+        };
+        return notes[vat.scheme] || window.TaxCalculator.schemes[vat.scheme] || '';
+    }
+
+    /**
+     * Complete, printable invoice document for an order
+     */
+    getInvoiceHtml(order) {
+        const data = this.getInvoiceData(order);
+        const money = amount => window.Currency.formatEur(amount);
+        const date = value => value ? new Date(value).toLocaleDateString('en-GB', { year: 'numeric', month: 'long', day: 'numeric' }) : '';
+        const address = data.buyer.address;
+        const addressLines = address ? [
+            address.address1,
+            address.address2,
+            [address.postalCode, address.city, address.state].filter(Boolean).join(' '),
+            address.country
+        ].filter(Boolean) : [];
+
+        const rows = data.lines.map(line => `
+            <tr>
+                <td>${this.escape(line.description)}${line.details ? `<div class="muted">${this.escape(line.details)}</div>` : ''}</td>
+                <td class="num">${line.quantity}</td>
+                <td class="num">${money(line.unitPrice)}</td>
+                <td class="num">${line.discount ? '-' + money(line.discount) : ''}</td>
+                <td class="num">${money(line.amount)}</td>
+            </tr>`).join('');
+
+        const vatLabel = data.vat ? window.TaxCalculator.getLabel(data.vat) : 'VAT';
+        const displayNote = data.displayCurrency && data.displayAmount !== undefined ?
+            `<p class="muted">Charged in EUR. Shown at checkout as ${new Intl.NumberFormat(window.Currency.currencies[data.displayCurrency].locale, { style: 'currency', currency: data.displayCurrency }).format(data.displayAmount)}.</p>` : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Invoice ${this.escape(data.number || data.orderId)} - Wax Encounters</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #222; margin: 0; padding: 40px; font-size: 14px; }
+        .invoice { max-width: 760px; margin: 0 auto; }
+        .header { background: linear-gradient(135deg, #c77ab4, #8b5cf6); color: white; padding: 24px 30px; border-radius: 10px; display: flex; justify-content: space-between; align-items: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .parties { display: flex; justify-content: space-between; margin: 30px 0; gap: 30px; }
+        .parties h3 { margin: 0 0 6px; font-size: 12px; text-transform: uppercase; color: #8b5cf6; }
+        .parties p { margin: 2px 0; }
+        table { width: 100%; border-collapse: collapse; }
+        th { text-align: left; font-size: 12px; text-transform: uppercase; color: #666; border-bottom: 2px solid #ddd; padding: 8px 6px; }
+        td { border-bottom: 1px solid #eee; padding: 8px 6px; vertical-align: top; }
+        .num { text-align: right; white-space: nowrap; }
+        .totals { margin-left: auto; width: 320px; margin-top: 20px; }
+        .totals td { border: none; padding: 4px 6px; }
+        .totals .grand td { border-top: 2px solid #222; font-weight: bold; font-size: 16px; padding-top: 8px; }
+        .muted { color: #777; font-size: 12px; }
+        .notes { margin-top: 30px; }
+        .print-button { background: #8b5cf6; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; margin-bottom: 20px; }
+        @media print { body { padding: 0; } .print-button { display: none; } .header { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+    </style>
+</head>
+<body>
+    <div class="invoice">
+        <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+        <div class="header">
+            <div>
+                <h1>🎵 Wax Encounters</h1>
+                <div>Invoice</div>
+            </div>
+            <div style="text-align: right;">
+                <div><strong>${this.escape(data.number || 'Not yet numbered')}</strong></div>
+                <div>${date(data.date)}</div>
+            </div>
+        </div>
+
+        <div class="parties">
+            <div>
+                <h3>Seller</h3>
+                <p><strong>${data.seller.name}</strong></p>
+                <p>${data.seller.address1}</p>
+                <p>${data.seller.postalCode} ${data.seller.city}</p>
+                <p>${data.seller.country}</p>
+                <p>${data.seller.email} • ${data.seller.phone}</p>
+            </div>
+            <div>
+                <h3>Bill to</h3>
+                <p><strong>${this.escape(data.buyer.name)}</strong></p>
+                ${addressLines.map(line => `<p>${this.escape(line)}</p>`).join('')}
+                ${data.buyer.email ? `<p>${this.escape(data.buyer.email)}</p>` : ''}
+            </div>
+            <div>
+                <h3>Order</h3>
+                <p>${this.escape(data.orderId)}</p>
+                <p>${date(data.orderDate)}</p>
+                <h3 style="margin-top: 12px;">Payment</h3>
+                <p>${data.paymentMethod}</p>
+            </div>
+        </div>
+
+        <table>
+            <thead>
+                <tr>
+                    <th>Item</th>
+                    <th class="num">Qty</th>
+                    <th class="num">Unit price</th>
+                    <th class="num">Discount</th>
+                    <th class="num">Amount</th>
+                </tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+
+        <table class="totals">
+            <tr><td>Items</td><td class="num">${money(data.goods)}</td></tr>
+            <tr><td>Shipping</td><td class="num">${money(data.shipping)}</td></tr>
+            ${data.shippingDiscount ? `<tr><td>Shipping discount</td><td class="num">-${money(data.shippingDiscount)}</td></tr>` : ''}
+            <tr><td>Net total</td><td class="num">${money(data.net)}</td></tr>
+            <tr><td>${vatLabel}</td><td class="num">${money(data.tax)}</td></tr>
+            <tr class="grand"><td>Total</td><td class="num">${money(data.gross)}</td></tr>
+            ${data.refundedAmount ? `<tr><td>Refunded</td><td class="num">-${money(data.refundedAmount)}</td></tr>` : ''}
+        </table>
+
+        <div class="notes">
+            ${data.discountCode ? `<p class="muted">Discount code ${this.escape(data.discountCode)} applied.</p>` : ''}
+            <p class="muted">${this.getVatNote(data.vat)}</p>
+            ${displayNote}
+            <p class="muted">Thank you for supporting independent artists and the vinyl community!</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * File name an order's invoice is saved under
+     */
+    getFileName(order) {
+        return `wax-encounters-${order.invoiceNumber || order.id}.html`;
+    }
+
+    /**
+     * Invoice as an email attachment (base64 data URL, as EmailJS variable attachments expect)
+     */
+    async getAttachment(orderId) {
+        const issued = await this.issueInvoice(orderId);
+        if (!issued.success) {
+            return null;
+        }
+        const html = this.getInvoiceHtml(issued.order);
+        return {
+            number: issued.number,
+            fileName: this.getFileName(issued.order),
+            data: 'data:text/html;base64,' + btoa(unescape(encodeURIComponent(html)))
+        };
+    }
+
+    /**
+     * Open an order's invoice in a new window, ready to print or save as PDF
+     * The window is opened before the number is fetched so pop-up blockers still count the click
+     */
+    async openInvoice(orderId) {
+        const invoiceWindow = window.open('', '_blank');
+        const issued = await this.issueInvoice(orderId);
+        if (!issued.success) {
+            if (invoiceWindow) {
+                invoiceWindow.close();
+            }
+            return issued;
+        }
+
+        if (!invoiceWindow) {
+            // Pop-ups blocked - hand the file over instead
+            return this.downloadInvoice(orderId);
+        }
+        invoiceWindow.document.open();
+        invoiceWindow.document.write(this.getInvoiceHtml(issued.order));
+        invoiceWindow.document.close();
+        return { success: true, number: issued.number };
+    }
+
+    /**
+     * Save an order's invoice as an HTML file
+     */
+    async downloadInvoice(orderId) {
+        const issued = await this.issueInvoice(orderId);
+        if (!issued.success) {
+            return issued;
+        }
+
+        const blob = new Blob([this.getInvoiceHtml(issued.order)], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getFileName(issued.order);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        return { success: true, number: issued.number };
+    }
+}
+
+// Global instance
+window.Invoices = new InvoiceGenerator();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InvoiceGenerator;
+}
@@ -0,0 +1,182 @@
+/**
+ * Wax Encounters - Order Lifecycle
+ * Every order moves through explicit states, from payment to delivery (or cancellation / refund)
+ * Only the transitions listed below are allowed and each one is kept in the order's status history
+ */
+
+class OrderLifecycle {
+    constructor() {
+        this.labels = {
+            pending_payment: 'Pending payment',
+            paid: 'Paid',
+            awaiting_pressing: 'Awaiting pressing',
+            packed: 'Packed',
+            shipped: 'Shipped',
+            delivered: 'Delivered',
+            cancelled: 'Cancelled',
+            refunded: 'Refunded'
+        };
+        // Allowed next states; a paid order is refunded rather than cancelled so the money goes back
+        this.transitions = {
+            pending_payment: ['paid', 'cancelled'],
+            paid: ['awaiting_pressing', 'packed', 'refunded'],
+            awaiting_pressing: ['packed', 'refunded'],
+            packed: ['shipped', 'refunded'],
+            shipped: ['delivered', 'refunded'],
+            delivered: ['refunded'],
+            cancelled: [],
+            refunded: []
+        };
+        // Orders in these states no longer wait for anything from the shop
+        this.closedStatuses = ['shipped', 'delivered', 'cancelled', 'refunded'];
+    }
+
+    /**
+     * Current state of an order. Orders saved before the lifecycle existed have status 'completed'
+     * (or 'partially_refunded') and a shipped flag, and are read as the state they were in
+     */
+    getStatus(order) {
+        if (this.labels[order.status]) {
+            return order.status;
+        }
+        if (order.shipped) {
+            return 'shipped';
+        }
+        return this.hasPledges(order) ? 'awaiting_pressing' : 'paid';
+    }
+
+    /**
+     * Label for a state, e.g. "Awaiting pressing"
+     */
+    getLabel(status) {
+        return this.labels[status] || status;
+    }
+
+    /**
+     * Whether an order contains crowdfunding lines that are still going ahead
+     */
+    hasPledges(order) {
+        const lines = order.lineItems || [{ type: order.type }];
+        return lines.some(line => line.type === 'crowdfunding' && !line.refunded);
+    }
+
+    /**
+     * Whether an order is still waiting to be shipped
+     */
+    isOpen(order) {
+        return !this.closedStatuses.includes(this.getStatus(order));
+    }
+
+    /**
+     * States the order can move to from where it is now
+     */
+    getNextStatuses(order) {
+        return this.transitions[this.getStatus(order)] || [];
+    }
+
+    /**
+     * When an order entered a state (null if it never did)
+     */
+    getStatusTime(order, status) {
+        const entry = (order.statusHistory || []).filter(e => e.status === status).pop();
+        if (entry) {
+            return entry.at;
+        }
+        // Older orders only know when they were placed and refunded
+        if (status === this.getStatus(order) && !order.statusHistory) {
+            return status === 'refunded' ? order.refundedAt || order.timestamp : order.timestamp;
+        }
+        return null;
+    }
+
+    /**
+     * Move an order object to a new state if the transition is allowed. The caller saves the order
+     */
+    applyTransition(order, status, { actor = 'admin', note = null } = {}) {
+        const from = this.getStatus(order);
+        if (!this.labels[status]) {
+            return { success: false, error: `Unknown order status: ${status}` };
+        }
+        if (!this.transitions[from].includes(status)) {
+            return { success: false, error: `An order that is ${this.getLabel(from).toLowerCase()} cannot be marked ${this.getLabel(status).toLowerCase()}` };
+        }
+
+        const at = new Date().toISOString();
+        order.status = status;
+        order.statusHistory = order.statusHistory || [{ status: from, from: null, at: order.timestamp || at, actor: 'system', note: null }];
+        order.statusHistory.push({ status: status, from: from, at: at, actor: actor, note: note });
+        return { success: true, order: order };
+    }
+
+    /**
+     * Move a saved order to a new state and tell the dashboard
+     */
+    transition(orderId, status, details = {}) {
+        const orders = window.PurchaseTracker.getOrders();
+        const order = orders.find(o => o.id === orderId);
+        if (!order) {
+            return { success: false, error: 'Order not found' };
+        }
+
+        const result = this.applyTransition(order, status, details);
+        if (!result.success) {
+            return result;
+        }
+        window.PurchaseTracker.saveOrders(orders);
+        window.PurchaseTracker.notifyDashboardUpdate();
+        return result;
+    }
+
+    /**
+     * Give a new order its starting state: pending payment, then paid once the money is in,
+     * and awaiting pressing when it contains pre-orders
+     */
+    initialise(order, paid) {
+        const at = order.timestamp || new Date().toISOString();
+        order.status = 'pending_payment';
+        order.statusHistory = [{ status: 'pending_payment', from: null, at: at, actor: 'customer', note: null }];
+        if (paid) {
+            this.markPaid(order);
+        }
+        return order;
+    }
+
+    /**
+     * Mark a pending order paid (and waiting for its pressing if it has pre-orders)
+     */
+    markPaid(order, details = { actor: 'system' }) {
+        const result = this.applyTransition(order, 'paid', details);
+        if (result.success && this.hasPledges(order)) {
+            this.applyTransition(order, 'awaiting_pressing', details);
+        }
+        return result;
+    }
+
+    /**
+     * Follow a payment status change on an order still pending payment (used by payment webhooks)
+     */
+    syncPayment(order) {
+        if (this.getStatus(order) !== 'pending_payment') {
+            return false;
+        }
+        const statuses = [order.paymentStatus, ...(order.lineItems || []).map(line => line.paymentStatus)].filter(Boolean);
+        if (statuses.length === 0) {
+            return false;
+        }
+        if (statuses.includes('failed')) {
+            return this.applyTransition(order, 'cancelled', { actor: 'system', note: 'Payment failed' }).success;
+        }
+        if (statuses.every(status => ['succeeded', 'authorised', 'captured'].includes(status))) {
+            return this.markPaid(order).success;
+        }
+        return false;
+    }
+}
+
+// Global instance
+window.OrderLifecycle = new OrderLifecycle();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderLifecycle;
+}
@@ -0,0 +1,209 @@
+/**
+ * Wax Encounters - Order Refunds
+ * Full and partial refunds of single orders from the admin dashboard
+ * Money goes back through the payment gateway (pledges not yet captured are voided instead),
+ * refunded lines are restocked or taken off their campaign, and the customer is emailed
+ */
+
+class OrderRefunds {
+    /**
+     * Amount with the order's VAT added, as the customer paid it
+     */
+    getGross(order, net) {
+        const rate = order.vat ? order.vat.rate : 0;
+        return Math.round(net * (100 + rate)) / 100;
+    }
+
+    /**
+     * Order lines with what refunding each one gives back; lines whose pledge is only
+     * authorised cost the customer nothing yet and are voided rather than refunded
+     */
+    getLines(order) {
+        return window.PurchaseTracker.getOrderLines(order).map((line, index) => ({
+            index: index,
+            line: line,
+            gross: this.getGross(order, line.amount || 0),
+            refunded: !!line.refunded,
+            authorised: line.type === 'crowdfunding' && line.paymentStatus === 'authorised'
+        }));
+    }
+
+    /**
+     * Shipping the customer paid, VAT included
+     */
+    getShipping(order) {
+        const net = (order.shippingCost || 0) - (order.discount ? order.discount.shippingDiscount || 0 : 0);
+        return this.getGross(order, Math.max(0, net));
+    }
+
+    /**
+     * Captured payments of an order that still have money on them
+     */
+    getPayments(order) {
+        const ids = [order.paymentIntentId, ...window.PurchaseTracker.getOrderLines(order).map(line => line.paymentIntentId)];
+        return [...new Set(ids.filter(Boolean))]
+            .map(id => window.PaymentGateway.getIntent(id))
+            .filter(intent => intent && window.PaymentGateway.getRefundable(intent) > 0);
+    }
+
+    /**
+     * Most that can still be refunded. Orders paid before the payment gateway are refunded
+     * by bank transfer, up to what was paid less earlier refunds
+     */
+    getRefundable(order) {
+        if (this.hasGatewayPayments(order)) {
+            const total = this.getPayments(order).reduce((sum, intent) => sum + window.PaymentGateway.getRefundable(intent), 0);
+            return Math.round(total * 100) / 100;
+        }
+        const gross = order.gross !== undefined ? order.gross : order.amount;
+        return Math.max(0, Math.round((gross - (order.refundedAmount || 0)) * 100) / 100);
+    }
+
+    /**
+     * Whether the order was paid through the payment gateway
+     */
+    hasGatewayPayments(order) {
+        return !!order.paymentIntentId || window.PurchaseTracker.getOrderLines(order).some(line => line.paymentIntentId);
+    }
+
+    /**
+     * Refund an order. lineIndexes are the lines being cancelled or returned (restocked when
+     * restock is set), amount is the money to give back. Pledges only authorised are voided,
+     * together with any other line on the same authorisation
+     */
+    async refundOrder(orderId, { lineIndexes = [], amount = 0, restock = true, reason = '' } = {}) {
+        const order = window.PurchaseTracker.getOrders().find(o => o.id === orderId);
+        if (!order) {
+            return { success: false, error: 'Order not found' };
+        }
+        if (!window.OrderLifecycle.getNextStatuses(order).includes('refunded')) {
+            return { success: false, error: `An order that is ${window.OrderLifecycle.getLabel(window.OrderLifecycle.getStatus(order)).toLowerCase()} cannot be refunded` };
+        }
+
+        const lines = this.getLines(order);
+        const selected = lines.filter(entry => lineIndexes.includes(entry.index) && !entry.refunded);
+        const refundAmount = Math.round((Number(amount) || 0) * 100) / 100;
+        const refundable = this.getRefundable(order);
+        if (refundAmount < 0 || refundAmount > refundable) {
+            return { success: false, error: `At most €${refundable.toFixed(2)} of this order can be refunded` };
+        }
+
+        // A voided authorisation releases every line it covers
+        const authorisations = [...new Set(selected.filter(entry => entry.authorised).map(entry => entry.line.paymentIntentId))];
+        lines.filter(entry => entry.authorised && !entry.refunded && authorisations.includes(entry.line.paymentIntentId))
+            .forEach(entry => {
+                if (!selected.includes(entry)) {
+                    selected.push(entry);
+                }
+            });
+        if (selected.length === 0 && refundAmount === 0) {
+            return { success: false, error: 'Choose the lines to refund or enter an amount' };
+        }
+
+        const paymentIntentIds = [];
+        let voidedAmount = 0;
+        for (const intentId of authorisations) {
+            const result = await window.PaymentGateway.voidAuthorisation(intentId);
+            if (!result.success) {
+                return { success: false, error: `The pledge payment could not be released: ${result.error}` };
+            }
+            voidedAmount += result.intent.amount;
+            paymentIntentIds.push(intentId);
+        }
+
+        // Money comes off the payments of the refunded lines first, then the rest of the order
+        let refunded = 0;
+        let error = null;
+        if (refundAmount > 0 && this.hasGatewayPayments(order)) {
+            const lineIntents = selected.map(entry => entry.line.paymentIntentId);
+            const payments = this.getPayments(order)
+                .sort((a, b) => (lineIntents.includes(b.id) ? 1 : 0) - (lineIntents.includes(a.id) ? 1 : 0));
+            for (const intent of payments) {
+                const part = Math.min(Math.round((refundAmount - refunded) * 100) / 100, window.PaymentGateway.getRefundable(intent));
+                if (part <= 0) {
+                    break;
+                }
+                const result = await window.PaymentGateway.refund(intent.id, part);
+                if (!result.success) {
+                    error = result.error;
+                    break;
+                }
+                refunded = Math.round((refunded + part) * 100) / 100;
+                paymentIntentIds.push(intent.id);
+            }
+        } else {
+            refunded = refundAmount;
+        }
+
+        // Nothing went back, so nothing changes on the order
+        if (refunded === 0 && voidedAmount === 0 && refundAmount > 0) {
+            return { success: false, error: error || 'The refund could not be made' };
+        }
+
+        selected.forEach(entry => window.PurchaseTracker.reverseOrderLine(order, entry.line, restock));
+
+        // The order is refunded once no money is left on it and no pledge is still on hold
+        const manual = refunded > 0 && !this.hasGatewayPayments(order);
+        const current = window.PurchaseTracker.getOrders().find(o => o.id === orderId);
+        const remaining = this.hasGatewayPayments(order) ? this.getRefundable(current) : Math.round((refundable - refunded) * 100) / 100;
+        const onHold = this.getLines(current).some(entry => entry.authorised && !entry.refunded && !selected.some(s => s.index === entry.index));
+        const recorded = window.PurchaseTracker.recordOrderRefund(orderId, {
+            lineIndexes: selected.map(entry => entry.index),
+            amount: refunded,
+            voidedAmount: Math.round(voidedAmount * 100) / 100,
+            method: manual ? 'manual' : refunded > 0 ? 'refund' : 'void',
+            paymentIntentIds: paymentIntentIds,
+            reason: reason,
+            // Bank transfers stay pending until the admin has sent the money
+            status: manual ? 'pending' : 'completed',
+            full: remaining <= 0 && !onHold
+        });
+
+        const emailed = await this.notifyCustomer(recorded.order, recorded.refund);
+        return {
+            success: true,
+            refund: recorded.refund,
+            order: recorded.order,
+            emailed: emailed,
+            error: error ? `Only €${refunded.toFixed(2)} could be refunded: ${error}` : null
+        };
+    }
+
+    /**
+     * Email the refund confirmation and record that it went out
+     */
+    async notifyCustomer(order, refund) {
+        const email = window.PurchaseTracker.getOrderEmail(order);
+        if (!email || !window.EmailService) {
+            return false;
+        }
+
+        const lines = window.PurchaseTracker.getOrderLines(order);
+        const items = refund.lineIndexes.length > 0 ?
+            refund.lineIndexes.map(index => `${lines[index].quantity || 1} × ${lines[index].recordTitle}`) :
+            [order.recordTitle];
+        const result = await window.EmailService.sendRefundConfirmation(email, order.customerName, {
+            orderNumber: order.id,
+            invoiceNumber: order.invoiceNumber || null,
+            items: items,
+            amount: refund.amount.toFixed(2),
+            refundedAmount: refund.refundedAmount,
+            voidedAmount: refund.voidedAmount,
+            reason: refund.reason === 'admin' ? '' : refund.reason,
+            method: refund.method,
+            full: window.OrderLifecycle.getStatus(order) === 'refunded'
+        });
+        if (result.success) {
+            window.PurchaseTracker.markRefundNotified(refund.id);
+        }
+        return result.success;
+    }
+}
+
+// Global instance
+window.OrderRefunds = new OrderRefunds();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderRefunds;
+}
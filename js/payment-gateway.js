@@ -0,0 +1,706 @@
+/**
+ * Wax Encounters - Payment Gateway
+ * Takes the money for an order before stock and pledges are committed
+ * Card payments follow the Stripe flow (create a payment intent, confirm it with the card) and
+ * PayPal payments the PayPal flow (create an order, buyer approves, capture). Either way the
+ * attempt is kept in DataStore 'paymentIntents' as pending, succeeded, failed or refunded,
+ * and webhook events from the provider move it between those states
+ * Crowdfunding pledges are only authorised at checkout (status 'authorised') and later
+ * captured when the campaign is funded or voided when it fails
+ *
+ * Select a provider with PaymentGateway.setProvider({ type: 'rest', url: 'http://localhost:3002' }),
+ * remembered in localStorage 'paymentGateway'. The default 'mock' provider runs in the browser so
+ * checkout works offline; server/payment-server.js serves the same flows over HTTP
+ */
+
+/**
+ * Provider that settles payments in the browser, for offline use and testing.
+ * Stripe's test card numbers decline the same way they do in Stripe test mode
+ */
+class MockPaymentProvider {
+    constructor(options = {}, onEvent = () => {}) {
+        this.name = 'mock';
+        this.onEvent = onEvent;
+        this.declinedCards = {
+            '4000000000000002': 'card_declined',
+            '4000000000009995': 'insufficient_funds',
+            '4000000000000069': 'expired_card',
+            '4000000000000127': 'incorrect_cvc',
+            '4000000000000119': 'processing_error'
+        };
+    }
+
+    /**
+     * Open a payment intent (card) or order (PayPal) with the provider
+     */
+    async createIntent(intent) {
+        return {
+            providerRef: (intent.method === 'paypal' ? 'mock_order_' : 'mock_pi_') + Math.random().toString(36).substr(2, 12)
+        };
+    }
+
+    /**
+     * Confirm a card intent or capture an approved PayPal order
+     */
+    async confirm(intent, details = {}) {
+        let failureReason = null;
+
+        if (intent.method === 'card') {
+            const number = (details.card && details.card.number || '').replace(/\s/g, '');
+            failureReason = this.declinedCards[number] || null;
+        } else if (typeof window.confirm === 'function' &&
+            !window.confirm(`Mock PayPal: approve a payment of ${window.Currency ? window.Currency.formatEur(intent.amount) : intent.amount} to Wax Encounters?`)) {
+            failureReason = 'payer_cancelled';
+        }
+
+        let result;
+        if (failureReason) {
+            result = { status: 'failed', failureReason: failureReason };
+        } else if (intent.captureMethod === 'manual') {
+            result = { status: 'authorised', authorisationRef: 'mock_auth_' + Math.random().toString(36).substr(2, 12) };
+        } else {
+            result = { status: 'succeeded', captureRef: 'mock_capture_' + Math.random().toString(36).substr(2, 12) };
+        }
+
+        // Deliver the webhook the real provider would send
+        setTimeout(() => this.onEvent(this.buildEvent(intent, result)), 0);
+        return result;
+    }
+
+    /**
+     * Take the money of an authorised payment
+     */
+    async capture(intent) {
+        const result = { status: 'succeeded', captureRef: 'mock_capture_' + Math.random().toString(36).substr(2, 12) };
+        setTimeout(() => this.onEvent(this.buildEvent(intent, result)), 0);
+        return result;
+    }
+
+    /**
+     * Release an authorised payment without taking any money
+     */
+    async void(intent) {
+        const result = { status: 'voided' };
+        setTimeout(() => this.onEvent(this.buildEvent(intent, result)), 0);
+        return result;
+    }
+
+    /**
+     * Give back a captured payment, or part of it
+     */
+    async refund(intent, amount) {
+        setTimeout(() => this.onEvent(this.buildEvent(intent, { status: 'refunded' })), 0);
+        return { success: true };
+    }
+
+    /**
+     * Webhooks arrive straight from confirm and refund, there is nothing to fetch
+     */
+    async fetchEvents() {
+        return [];
+    }
+
+    /**
+     * Webhook event in the shape Stripe or PayPal would send it
+     */
+    buildEvent(intent, result) {
+        if (intent.method === 'paypal') {
+            const types = {
+                authorised: 'PAYMENT.AUTHORIZATION.CREATED',
+                succeeded: 'PAYMENT.CAPTURE.COMPLETED',
+                failed: 'PAYMENT.CAPTURE.DENIED',
+                voided: 'PAYMENT.AUTHORIZATION.VOIDED',
+                refunded: 'PAYMENT.CAPTURE.REFUNDED'
+            };
+            return {
+                id: 'WH-' + Math.random().toString(36).substr(2, 12),
+                event_type: types[result.status],
+                resource: {
+                    id: result.captureRef || result.authorisationRef || intent.captureRef || intent.authorisationRef,
+                    status_details: result.failureReason ? { reason: result.failureReason } : undefined,
+                    supplementary_data: { related_ids: { order_id: intent.providerRef } }
+                }
+            };
+        }
+
+        const types = {
+            authorised: 'payment_intent.amount_capturable_updated',
+            succeeded: 'payment_intent.succeeded',
+            failed: 'payment_intent.payment_failed',
+            voided: 'payment_intent.canceled',
+            refunded: 'charge.refunded'
+        };
+        return {
+            id: 'evt_' + Math.random().toString(36).substr(2, 12),
+            type: types[result.status],
+            data: {
+                object: result.status === 'refunded' ?
+                    { object: 'charge', payment_intent: intent.providerRef } :
+                    { object: 'payment_intent', id: intent.providerRef, last_payment_error: result.failureReason ? { code: result.failureReason } : null }
+            }
+        };
+    }
+}
+
+/**
+ * Provider that talks to a payment server exposing Stripe- and PayPal-style routes
+ * (see server/payment-server.js). Webhooks are collected from the server's event feed
+ */
+class RestPaymentProvider {
+    constructor(options = {}) {
+        this.name = 'rest';
+        this.baseUrl = (options.url || 'http://localhost:3002').replace(/\/$/, '');
+        this.timeout = options.timeout || 15000;
+        this.lastEventId = null;
+    }
+
+    /**
+     * Perform a request with a timeout; provider errors come back in the body
+     */
+    async request(method, path, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+            const data = await response.json().catch(() => ({}));
+            if (response.status >= 500) {
+                throw new Error(`Payment server responded with ${response.status}`);
+            }
+            return { ok: response.ok, data: data };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async createIntent(intent) {
+        if (intent.method === 'paypal') {
+            const response = await this.request('POST', '/v2/checkout/orders', {
+                intent: intent.captureMethod === 'manual' ? 'AUTHORIZE' : 'CAPTURE',
+                purchase_units: [{ reference_id: intent.id, amount: { currency_code: intent.currency, value: intent.amount.toFixed(2) } }],
+                payer: { email_address: intent.email }
+            });
+            if (!response.ok) {
+                throw new Error(response.data.message || 'PayPal order could not be created');
+            }
+            return { providerRef: response.data.id };
+        }
+
+        const response = await this.request('POST', '/v1/payment_intents', {
+            amount: Math.round(intent.amount * 100),
+            currency: intent.currency.toLowerCase(),
+            capture_method: intent.captureMethod,
+            receipt_email: intent.email,
+            metadata: { intentId: intent.id }
+        });
+        if (!response.ok) {
+            throw new Error(response.data.error ? response.data.error.message : 'Payment intent could not be created');
+        }
+        return { providerRef: response.data.id };
+    }
+
+    async confirm(intent, details = {}) {
+        if (intent.method === 'paypal') {
+            const authorise = intent.captureMethod === 'manual';
+            const response = await this.request('POST', `/v2/checkout/orders/${intent.providerRef}/${authorise ? 'authorize' : 'capture'}`);
+            if (!response.ok) {
+                return { status: 'failed', failureReason: this.getPaypalIssue(response.data) };
+            }
+            const payments = response.data.purchase_units[0].payments;
+            return authorise ?
+                { status: 'authorised', authorisationRef: payments.authorizations[0].id } :
+                { status: 'succeeded', captureRef: payments.captures[0].id };
+        }
+
+        // A production backend would receive a Stripe Elements payment method instead of card details
+        const card = details.card || {};
+        const [expMonth, expYear] = (card.expiry || '').split('/');
+        const response = await this.request('POST', `/v1/payment_intents/${intent.providerRef}/confirm`, {
+            payment_method: { card: { number: (card.number || '').replace(/\s/g, ''), exp_month: expMonth, exp_year: expYear, cvc: card.cvc } }
+        });
+        if (response.data.status === 'succeeded') {
+            return { status: 'succeeded', captureRef: response.data.latest_charge };
+        }
+        if (response.data.status === 'requires_capture') {
+            return { status: 'authorised', authorisationRef: response.data.latest_charge };
+        }
+        const error = response.data.last_payment_error || response.data.error || {};
+        return { status: 'failed', failureReason: error.decline_code || error.code || 'card_declined' };
+    }
+
+    async capture(intent) {
+        if (intent.method === 'paypal') {
+            const response = await this.request('POST', `/v2/payments/authorizations/${intent.authorisationRef}/capture`);
+            return response.ok ?
+                { status: 'succeeded', captureRef: response.data.id } :
+                { status: 'failed', failureReason: this.getPaypalIssue(response.data) };
+        }
+
+        const response = await this.request('POST', `/v1/payment_intents/${intent.providerRef}/capture`);
+        if (response.data.status === 'succeeded') {
+            return { status: 'succeeded', captureRef: response.data.latest_charge };
+        }
+        const error = response.data.error || {};
+        return { status: 'failed', failureReason: error.code || 'capture_failed' };
+    }
+
+    async void(intent) {
+        const response = intent.method === 'paypal' ?
+            await this.request('POST', `/v2/payments/authorizations/${intent.authorisationRef}/void`) :
+            await this.request('POST', `/v1/payment_intents/${intent.providerRef}/cancel`);
+        if (!response.ok) {
+            throw new Error('The authorisation could not be voided');
+        }
+        return { status: 'voided' };
+    }
+
+    /**
+     * Failure code from a PayPal error response
+     */
+    getPaypalIssue(data) {
+        const issue = data.details && data.details[0] ? data.details[0].issue : 'capture_failed';
+        return issue.toLowerCase();
+    }
+
+    async refund(intent, amount) {
+        const response = intent.method === 'paypal' ?
+            await this.request('POST', `/v2/payments/captures/${intent.captureRef}/refund`, {
+                amount: { currency_code: intent.currency, value: amount.toFixed(2) }
+            }) :
+            await this.request('POST', '/v1/refunds', { payment_intent: intent.providerRef, amount: Math.round(amount * 100) });
+        return response.ok ? { success: true } : { success: false, error: 'Refund was rejected by the payment provider' };
+    }
+
+    /**
+     * Webhook events the server received since the last fetch
+     */
+    async fetchEvents() {
+        const response = await this.request('GET', `/events${this.lastEventId ? '?after=' + encodeURIComponent(this.lastEventId) : ''}`);
+        const events = response.ok ? response.data.data || [] : [];
+        if (events.length > 0) {
+            this.lastEventId = events[events.length - 1].id;
+        }
+        return events;
+    }
+}
+
+class PaymentGateway {
+    constructor() {
+        this.configKey = 'paymentGateway';
+        this.storageKey = 'paymentIntents';
+        this.currency = 'EUR';
+        this.intervalMinutes = 1;
+        this.timer = null;
+        this.failureMessages = {
+            card_declined: 'Your card was declined.',
+            insufficient_funds: 'Your card has insufficient funds.',
+            expired_card: 'Your card has expired.',
+            incorrect_cvc: 'Your card\'s security code is incorrect.',
+            processing_error: 'The card could not be processed. Please try again.',
+            payer_cancelled: 'The PayPal payment was cancelled.',
+            instrument_declined: 'PayPal declined the payment. Please choose another funding source.',
+            authorization_expired: 'The authorisation expired before the payment was captured.'
+        };
+        // How the status of a payment reads on the pledge line it authorised
+        this.lineStatuses = {
+            pending: 'pending',
+            authorised: 'authorised',
+            succeeded: 'captured',
+            failed: 'failed',
+            voided: 'voided',
+            refunded: 'refunded'
+        };
+        this.provider = this.createProvider(this.getConfig());
+    }
+
+    /**
+     * Read the provider configuration ({ type: 'mock' | 'rest', url })
+     */
+    getConfig() {
+        try {
+            return JSON.parse(localStorage.getItem(this.configKey)) || { type: 'mock' };
+        } catch (error) {
+            return { type: 'mock' };
+        }
+    }
+
+    /**
+     * Build the provider for a configuration
+     */
+    createProvider(config) {
+        switch (config.type) {
+            case 'rest':
+                return new RestPaymentProvider(config);
+            default:
+                return new MockPaymentProvider(config, event => this.handleWebhook(event));
+        }
+    }
+
+    /**
+     * Switch to another provider
+     */
+    setProvider(config) {
+        localStorage.setItem(this.configKey, JSON.stringify(config));
+        this.provider = this.createProvider(config);
+        return { success: true, message: `Payments now go through the ${this.provider.name} provider` };
+    }
+
+    /**
+     * All payment attempts
+     */
+    getIntents() {
+        return window.DataStore.get(this.storageKey, []);
+    }
+
+    getIntent(intentId) {
+        return this.getIntents().find(intent => intent.id === intentId) || null;
+    }
+
+    /**
+     * Apply changes to a stored intent and return the updated copy
+     */
+    updateIntent(intentId, changes) {
+        const intents = this.getIntents();
+        const intent = intents.find(i => i.id === intentId);
+        if (!intent) {
+            return null;
+        }
+        Object.assign(intent, changes, { updatedAt: new Date().toISOString() });
+        window.DataStore.set(this.storageKey, intents);
+        return intent;
+    }
+
+    /**
+     * Message to show a customer for a failure code
+     */
+    getFailureMessage(reason) {
+        return this.failureMessages[reason] || 'The payment did not go through. Please try another payment method.';
+    }
+
+    /**
+     * Charge an amount in euros by card or PayPal, or only authorise it when capture is false.
+     * Resolves with { success, intent } or { success: false, error, intent }
+     */
+    async pay({ method, amount, email, description, card = null, capture = true }) {
+        if (!['card', 'paypal'].includes(method)) {
+            return { success: false, error: 'Please choose a payment method' };
+        }
+        if (!(amount > 0)) {
+            return { success: false, error: 'Nothing to charge' };
+        }
+
+        const now = new Date().toISOString();
+        const intent = {
+            id: 'pay_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            provider: this.provider.name,
+            method: method,
+            amount: Math.round(amount * 100) / 100,
+            currency: this.currency,
+            email: email || null,
+            description: description || '',
+            cardLast4: method === 'card' && card && card.number ? card.number.replace(/\s/g, '').slice(-4) : null,
+            captureMethod: capture ? 'automatic' : 'manual',
+            status: 'pending',
+            providerRef: null,
+            authorisationRef: null,
+            captureRef: null,
+            failureReason: null,
+            orderId: null,
+            webhookEvents: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        const intents = this.getIntents();
+        intents.push(intent);
+        window.DataStore.set(this.storageKey, intents);
+
+        try {
+            const created = await this.provider.createIntent(intent);
+            this.updateIntent(intent.id, { providerRef: created.providerRef });
+            intent.providerRef = created.providerRef;
+
+            const result = await this.provider.confirm(intent, { card });
+            const updated = this.updateIntent(intent.id, {
+                status: result.status,
+                authorisationRef: result.authorisationRef || null,
+                captureRef: result.captureRef || null,
+                failureReason: result.failureReason || null
+            });
+            this.notifyUpdate(updated);
+
+            if (result.status === 'failed') {
+                return { success: false, error: this.getFailureMessage(result.failureReason), intent: updated };
+            }
+            return { success: true, intent: updated };
+        } catch (error) {
+            console.error('Payment failed:', error);
+            const updated = this.updateIntent(intent.id, { status: 'failed', failureReason: 'provider_unavailable' });
+            this.notifyUpdate(updated);
+            return { success: false, error: 'The payment service is not reachable right now. You have not been charged.', intent: updated };
+        }
+    }
+
+    /**
+     * Tie a payment to the order it paid for
+     */
+    attachOrder(intentId, orderId) {
+        return this.updateIntent(intentId, { orderId: orderId });
+    }
+
+    /**
+     * Take the money of an authorised payment. Authorisations lapse after a few days at most
+     * card providers, so a late capture can fail and is then marked failed
+     */
+    async capture(intentId) {
+        const intent = this.getIntent(intentId);
+        if (!intent || intent.status !== 'authorised') {
+            return { success: false, error: 'Only authorised payments can be captured' };
+        }
+
+        try {
+            const result = await this.provider.capture(intent);
+            const updated = this.updateIntent(intentId, {
+                status: result.status,
+                captureRef: result.captureRef || null,
+                failureReason: result.failureReason || null,
+                capturedAt: result.status === 'succeeded' ? new Date().toISOString() : null
+            });
+            this.syncOrder(updated);
+            this.notifyUpdate(updated);
+            return result.status === 'succeeded' ?
+                { success: true, intent: updated } :
+                { success: false, error: this.getFailureMessage(result.failureReason), intent: updated };
+        } catch (error) {
+            console.error('Capture failed:', error);
+            return { success: false, error: 'The payment service is not reachable right now' };
+        }
+    }
+
+    /**
+     * Release an authorised payment so the customer is never charged
+     */
+    async voidAuthorisation(intentId) {
+        const intent = this.getIntent(intentId);
+        if (!intent || intent.status !== 'authorised') {
+            return { success: false, error: 'Only authorised payments can be voided' };
+        }
+
+        try {
+            await this.provider.void(intent);
+            const updated = this.updateIntent(intentId, { status: 'voided', voidedAt: new Date().toISOString() });
+            this.syncOrder(updated);
+            this.notifyUpdate(updated);
+            return { success: true, intent: updated };
+        } catch (error) {
+            console.error('Void failed:', error);
+            return { success: false, error: 'The payment service is not reachable right now' };
+        }
+    }
+
+    /**
+     * Amount of a succeeded payment that has not been refunded yet
+     */
+    getRefundable(intent) {
+        return intent.status === 'succeeded' ? Math.round((intent.amount - (intent.refundedAmount || 0)) * 100) / 100 : 0;
+    }
+
+    /**
+     * Give back a succeeded payment, e.g. when the order could not be completed after it was charged.
+     * Without an amount whatever is left of it is refunded; the payment is 'refunded' once nothing is left
+     */
+    async refund(intentId, amount = null) {
+        const intent = this.getIntent(intentId);
+        if (!intent || intent.status !== 'succeeded') {
+            return { success: false, error: 'Only succeeded payments can be refunded' };
+        }
+        const refundable = this.getRefundable(intent);
+        const refundAmount = amount === null ? refundable : Math.round(amount * 100) / 100;
+        if (!(refundAmount > 0) || refundAmount > refundable) {
+            return { success: false, error: `At most €${refundable.toFixed(2)} of this payment can be refunded` };
+        }
+
+        try {
+            const result = await this.provider.refund(intent, refundAmount);
+            if (!result.success) {
+                return result;
+            }
+            const refundedAmount = Math.round(((intent.refundedAmount || 0) + refundAmount) * 100) / 100;
+            const updated = this.updateIntent(intentId, {
+                status: refundedAmount >= intent.amount ? 'refunded' : 'succeeded',
+                refundedAmount: refundedAmount,
+                refundedAt: new Date().toISOString()
+            });
+            this.syncOrder(updated);
+            this.notifyUpdate(updated);
+            return { success: true, intent: updated };
+        } catch (error) {
+            console.error('Refund failed:', error);
+            return { success: false, error: 'The payment service is not reachable right now' };
+        }
+    }
+
+    /**
+     * Read a Stripe or PayPal webhook event into the provider reference and the status it reports
+     */
+    parseWebhook(event) {
+        const stripeStatuses = {
+            'payment_intent.amount_capturable_updated': 'authorised',
+            'payment_intent.succeeded': 'succeeded',
+            'payment_intent.canceled': 'voided',
+            'payment_intent.payment_failed': 'failed',
+            'charge.refunded': 'refunded'
+        };
+        const paypalStatuses = {
+            'PAYMENT.AUTHORIZATION.CREATED': 'authorised',
+            'PAYMENT.AUTHORIZATION.VOIDED': 'voided',
+            'PAYMENT.CAPTURE.COMPLETED': 'succeeded',
+            'PAYMENT.CAPTURE.DENIED': 'failed',
+            'PAYMENT.CAPTURE.REFUNDED': 'refunded'
+        };
+
+        if (event.type && stripeStatuses[event.type]) {
+            const object = event.data.object;
+            return {
+                eventId: event.id,
+                providerRef: object.object === 'charge' ? object.payment_intent : object.id,
+                status: stripeStatuses[event.type],
+                failureReason: object.last_payment_error ? object.last_payment_error.decline_code || object.last_payment_error.code : null
+            };
+        }
+        if (event.event_type && paypalStatuses[event.event_type]) {
+            const resource = event.resource;
+            return {
+                eventId: event.id,
+                providerRef: resource.supplementary_data.related_ids.order_id,
+                resourceId: resource.id || null,
+                status: paypalStatuses[event.event_type],
+                failureReason: resource.status_details ? resource.status_details.reason.toLowerCase() : null
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Apply a webhook event to its payment. Events are recorded on the intent, so a
+     * redelivered event changes nothing; refunds and voids are final, and a late
+     * authorisation event never undoes a capture
+     */
+    handleWebhook(event) {
+        const parsed = this.parseWebhook(event);
+        if (!parsed) {
+            return { success: false, error: 'Unsupported webhook event' };
+        }
+
+        const intent = this.getIntents().find(i => i.providerRef === parsed.providerRef);
+        if (!intent) {
+            return { success: false, error: 'No payment for this event' };
+        }
+        if (intent.webhookEvents.includes(parsed.eventId)) {
+            return { success: true, intent: intent, duplicate: true };
+        }
+
+        const changes = { webhookEvents: [...intent.webhookEvents, parsed.eventId] };
+        // A partial refund leaves the payment succeeded
+        const final = ['refunded', 'voided'].includes(intent.status) ||
+            (parsed.status === 'authorised' && intent.status === 'succeeded') ||
+            (parsed.status === 'refunded' && intent.refundedAmount > 0 && intent.refundedAmount < intent.amount);
+        if (!final) {
+            changes.status = parsed.status;
+            changes.failureReason = parsed.status === 'failed' ? parsed.failureReason : null;
+            if (parsed.resourceId && parsed.status === 'authorised') {
+                changes.authorisationRef = parsed.resourceId;
+            }
+            if (parsed.resourceId && parsed.status === 'succeeded') {
+                changes.captureRef = parsed.resourceId;
+            }
+            if (parsed.status === 'refunded' || parsed.status === 'voided') {
+                changes[parsed.status + 'At'] = new Date().toISOString();
+            }
+        }
+
+        const updated = this.updateIntent(intent.id, changes);
+        if (updated.status !== intent.status) {
+            this.syncOrder(updated);
+            this.notifyUpdate(updated);
+        }
+        return { success: true, intent: updated };
+    }
+
+    /**
+     * Copy a payment's status onto its order, or onto the pledge lines it authorised
+     */
+    syncOrder(intent) {
+        if (!intent.orderId) {
+            return;
+        }
+        const orders = window.PurchaseTracker.getOrders();
+        const order = orders.find(o => o.id === intent.orderId);
+        if (!order) {
+            return;
+        }
+        if (order.paymentIntentId === intent.id) {
+            if (order.paymentStatus !== intent.status) {
+                order.paymentStatus = intent.status;
+                window.OrderLifecycle.syncPayment(order);
+                window.PurchaseTracker.saveOrders(orders);
+            }
+            return;
+        }
+        window.PurchaseTracker.setPledgePaymentStatus(order.id, intent.id, this.lineStatuses[intent.status]);
+    }
+
+    /**
+     * Fetch and apply webhook events now and then on an interval
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.syncWebhooks();
+        this.timer = setInterval(() => this.syncWebhooks(), this.intervalMinutes * 60 * 1000);
+    }
+
+    /**
+     * Stop the interval
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Apply any webhook events waiting at the provider
+     */
+    async syncWebhooks() {
+        try {
+            await window.DataStore.ready;
+            const events = await this.provider.fetchEvents();
+            return events.map(event => this.handleWebhook(event));
+        } catch (error) {
+            console.error('Could not fetch payment webhooks:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Tell listeners a payment changed state
+     */
+    notifyUpdate(intent) {
+        window.dispatchEvent(new CustomEvent('paymentUpdate', {
+            detail: { intent }
+        }));
+    }
+}
+
+// Global instance
+window.PaymentGateway = new PaymentGateway();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaymentGateway;
+}
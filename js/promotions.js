@@ -0,0 +1,307 @@
+/**
+ * Wax Encounters - Promotions
+ * Discount codes checked at checkout: percentage or fixed amount off, or free shipping
+ * A code can be limited to certain records or artists, a number of uses and an expiry date,
+ * or to the first order of a newly verified account
+ */
+
+class Promotions {
+    constructor() {
+        this.storageKey = 'promotions';
+        this.types = {
+            percentage: 'Percentage off',
+            fixed: 'Fixed amount off',
+            free_shipping: 'Free shipping'
+        };
+    }
+
+    /**
+     * Get all promotions, oldest first
+     */
+    getPromotions() {
+        return window.DataStore.get(this.storageKey, []);
+    }
+
+    /**
+     * Persist promotions and tell the dashboard to redraw
+     */
+    savePromotions(promotions) {
+        window.DataStore.set(this.storageKey, promotions);
+        window.PurchaseTracker.notifyDashboardUpdate();
+    }
+
+    /**
+     * Find a promotion by its code (codes are not case sensitive)
+     */
+    getPromotion(code) {
+        const normalized = (code || '').trim().toUpperCase();
+        return this.getPromotions().find(promotion => promotion.code === normalized) || null;
+    }
+
+    /**
+     * Create a discount code
+     */
+    createPromotion({ code, type, value = 0, recordIds = [], artists = [], usageLimit = null, expiresAt = null, firstOrderOnly = false }) {
+        code = (code || '').trim().toUpperCase();
+        if (!/^[A-Z0-9_-]{3,20}$/.test(code)) {
+            return { success: false, error: 'Codes are 3-20 letters, numbers, dashes or underscores' };
+        }
+        if (this.getPromotion(code)) {
+            return { success: false, error: `The code ${code} already exists` };
+        }
+        if (!this.types[type]) {
+            return { success: false, error: 'Unknown discount type' };
+        }
+
+        value = type === 'free_shipping' ? 0 : Number(value);
+        if (type !== 'free_shipping' && (!(value > 0) || (type === 'percentage' && value > 100))) {
+            return { success: false, error: type === 'percentage' ? 'Enter a percentage between 1 and 100' : 'Enter an amount greater than 0' };
+        }
+        if (usageLimit !== null && !(usageLimit > 0)) {
+            return { success: false, error: 'The usage limit must be at least 1' };
+        }
+
+        const promotion = {
+            id: 'promo_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            code: code,
+            type: type,
+            value: value,
+            scope: {
+                recordIds: recordIds,
+                artists: artists.map(artist => artist.trim()).filter(Boolean)
+            },
+            usageLimit: usageLimit,
+            expiresAt: expiresAt,
+            firstOrderOnly: !!firstOrderOnly,
+            active: true,
+            uses: 0,
+            redemptions: [],
+            createdAt: new Date().toISOString()
+        };
+
+        const promotions = this.getPromotions();
+        promotions.push(promotion);
+        this.savePromotions(promotions);
+        return { success: true, promotion: promotion };
+    }
+
+    /**
+     * Apply changes to one promotion
+     */
+    updatePromotion(promotionId, changes) {
+        const promotions = this.getPromotions();
+        const promotion = promotions.find(p => p.id === promotionId);
+        if (!promotion) {
+            return false;
+        }
+        Object.assign(promotion, changes);
+        this.savePromotions(promotions);
+        return true;
+    }
+
+    /**
+     * Switch a code on or off without losing its usage history
+     */
+    setActive(promotionId, active) {
+        return this.updatePromotion(promotionId, { active: !!active });
+    }
+
+    /**
+     * Remove a code entirely (orders keep their own copy of the discount)
+     */
+    deletePromotion(promotionId) {
+        const promotions = this.getPromotions();
+        const remaining = promotions.filter(p => p.id !== promotionId);
+        if (remaining.length === promotions.length) {
+            return false;
+        }
+        this.savePromotions(remaining);
+        return true;
+    }
+
+    /**
+     * Whether a code can currently be used: 'active', 'inactive', 'expired' or 'used_up'
+     */
+    getStatus(promotion, now = new Date()) {
+        if (!promotion.active) {
+            return 'inactive';
+        }
+        if (promotion.expiresAt && new Date(promotion.expiresAt) <= now) {
+            return 'expired';
+        }
+        if (promotion.usageLimit && promotion.uses >= promotion.usageLimit) {
+            return 'used_up';
+        }
+        return 'active';
+    }
+
+    /**
+     * Short description of what a code gives, e.g. "10% off" or "€5.00 off"
+     */
+    describe(promotion) {
+        const amount = promotion.type === 'percentage' ? `${promotion.value}% off` :
+            promotion.type === 'fixed' ? `€${promotion.value.toFixed(2)} off` : 'Free shipping';
+        const scope = [
+            ...(promotion.scope.artists || []),
+            ...(promotion.scope.recordIds || []).map(recordId => {
+                const record = window.PurchaseTracker.getRecord(recordId);
+                return record ? `"${record.albumTitle}"` : recordId;
+            })
+        ];
+        return scope.length > 0 ? `${amount} ${scope.join(', ')}` : amount;
+    }
+
+    /**
+     * Whether an order line falls under a promotion's record/artist scope
+     */
+    appliesTo(promotion, line) {
+        const recordIds = promotion.scope.recordIds || [];
+        const artists = (promotion.scope.artists || []).map(artist => artist.toLowerCase());
+        if (recordIds.length === 0 && artists.length === 0) {
+            return true;
+        }
+        return recordIds.includes(line.recordId) || artists.includes((line.artist || '').toLowerCase());
+    }
+
+    /**
+     * Whether an email belongs to a verified account that has not ordered yet
+     */
+    isFirstOrder(email) {
+        email = (email || '').trim().toLowerCase();
+        const verifiedEmail = (localStorage.getItem('verifiedEmail') || '').trim().toLowerCase();
+        if (!email || localStorage.getItem('accountVerified') !== 'true' || verifiedEmail !== email) {
+            return false;
+        }
+        return !window.PurchaseTracker.getOrders().some(order =>
+            [order.customerEmail, order.contactEmail].some(orderEmail => (orderEmail || '').trim().toLowerCase() === email)
+        );
+    }
+
+    /**
+     * An active first-order code to offer a newly verified account, or null
+     */
+    getFirstOrderPromotion() {
+        return this.getPromotions().find(promotion => promotion.firstOrderOnly && this.getStatus(promotion) === 'active') || null;
+    }
+
+    /**
+     * Check a code against an order and work out the discount.
+     * lines are [{ key, recordId, artist, amount }]; the item discount is spread over the
+     * eligible lines (lineDiscounts by key) so each line keeps what was actually paid for it
+     */
+    validate(code, { lines = [], shippingCost = 0, email = '' } = {}) {
+        if (!(code || '').trim()) {
+            return { valid: false, error: 'Please enter a discount code' };
+        }
+
+        const promotion = this.getPromotion(code);
+        if (!promotion) {
+            return { valid: false, error: 'Discount code not found' };
+        }
+
+        const status = this.getStatus(promotion);
+        if (status === 'inactive') {
+            return { valid: false, error: 'This discount code is no longer active' };
+        }
+        if (status === 'expired') {
+            return { valid: false, error: `This discount code expired on ${new Date(promotion.expiresAt).toLocaleDateString()}` };
+        }
+        if (status === 'used_up') {
+            return { valid: false, error: 'This discount code has reached its usage limit' };
+        }
+        if (promotion.firstOrderOnly && !this.isFirstOrder(email)) {
+            return { valid: false, error: 'This code is only valid on the first order of a verified account' };
+        }
+
+        const eligible = lines.filter(line => this.appliesTo(promotion, line));
+        if (eligible.length === 0) {
+            return { valid: false, error: 'This code does not apply to anything in your order' };
+        }
+
+        const round = value => Math.round(value * 100) / 100;
+        const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.amount, 0);
+        const lineDiscounts = {};
+        let discount = 0;
+
+        if (promotion.type === 'percentage') {
+            eligible.forEach(line => {
+                lineDiscounts[line.key] = round(line.amount * promotion.value / 100);
+                discount += lineDiscounts[line.key];
+            });
+        } else if (promotion.type === 'fixed') {
+            // Never more than the eligible lines are worth; the last line takes the rounding remainder
+            const total = round(Math.min(promotion.value, eligibleSubtotal));
+            eligible.forEach((line, index) => {
+                lineDiscounts[line.key] = index === eligible.length - 1 ?
+                    round(total - discount) :
+                    round(total * line.amount / eligibleSubtotal);
+                discount += lineDiscounts[line.key];
+            });
+        }
+
+        return {
+            valid: true,
+            promotion: promotion,
+            discount: round(discount),
+            shippingDiscount: promotion.type === 'free_shipping' ? round(shippingCost) : 0,
+            lineDiscounts: lineDiscounts
+        };
+    }
+
+    /**
+     * Count a use of a code against its limit once the order is saved
+     */
+    redeem(code, { orderId, email = '', discount = 0 }) {
+        const promotions = this.getPromotions();
+        const promotion = promotions.find(p => p.code === (code || '').trim().toUpperCase());
+        if (!promotion) {
+            return false;
+        }
+
+        promotion.uses = (promotion.uses || 0) + 1;
+        promotion.redemptions = promotion.redemptions || [];
+        promotion.redemptions.push({
+            orderId: orderId,
+            email: email,
+            discount: discount,
+            redeemedAt: new Date().toISOString()
+        });
+        this.savePromotions(promotions);
+        return true;
+    }
+
+    /**
+     * Per-code totals from the saved orders: times used, discount given and revenue after discount
+     */
+    getDiscountReport() {
+        const codes = new Map();
+        window.PurchaseTracker.getOrders()
+            .filter(order => order.discount && order.status !== 'refunded')
+            .forEach(order => {
+                const code = order.discount.code;
+                if (!codes.has(code)) {
+                    codes.set(code, { code: code, orders: 0, discount: 0, revenue: 0 });
+                }
+                const row = codes.get(code);
+                row.orders++;
+                row.discount += (order.discount.amount || 0) + (order.discount.shippingDiscount || 0);
+                row.revenue += order.amount || 0;
+            });
+
+        return [...codes.values()]
+            .map(row => ({
+                ...row,
+                discount: Math.round(row.discount * 100) / 100,
+                revenue: Math.round(row.revenue * 100) / 100
+            }))
+            .sort((a, b) => b.orders - a.orders);
+    }
+}
+
+// Global instance
+window.Promotions = new Promotions();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Promotions;
+}
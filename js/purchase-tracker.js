@@ -1,68 +1,297 @@
 // Purchase Tracking System for Wax Encounters
 // This handles real-time updates to inventory and campaign progress
 
+// Raised when a write is based on an outdated copy of a record
+class StockConflictError extends Error {
+    constructor(recordId, expectedVersion, storedVersion) {
+        super(`Record ${recordId} was changed elsewhere (version ${storedVersion}, expected ${expectedVersion}). Reload and try again.`);
+        this.name = 'StockConflictError';
+        this.recordId = recordId;
+        this.expectedVersion = expectedVersion;
+        this.storedVersion = storedVersion;
+    }
+}
+
 class PurchaseTracker {
     constructor() {
         this.records = this.loadRecords();
+        this.reservationMinutes = 15;
     }
 
     loadRecords() {
-        return JSON.parse(localStorage.getItem('uploadedRecords') || '[]');
+        return window.DataStore.get('uploadedRecords', []);
     }
 
     saveRecords() {
-        localStorage.setItem('uploadedRecords', JSON.stringify(this.records));
+        window.DataStore.set('uploadedRecords', this.records);
     }
 
-    // Process a purchase for immediate sale records
-    processImmediatePurchase(recordId, quantity = 1) {
-        const record = this.records.find(r => r.id === recordId);
+    // Reload records after another tab or the storage backend changed them
+    reloadRecords() {
+        this.records = this.loadRecords();
+        return this.records;
+    }
+
+    // Save one record, refusing the write if the stored copy changed since it was read
+    commitRecord(record) {
+        const stored = this.loadRecords();
+        const index = stored.findIndex(r => r.id === record.id);
+        const storedVersion = index === -1 ? 0 : (stored[index].version || 0);
+        const expectedVersion = record.version || 0;
+
+        if (index === -1 || storedVersion !== expectedVersion) {
+            this.records = stored;
+            throw new StockConflictError(record.id, expectedVersion, storedVersion);
+        }
+
+        record.version = storedVersion + 1;
+        stored[index] = record;
+        this.records = stored;
+        this.saveRecords();
+        return record;
+    }
+
+    // Append a change to the record event log (before/after are record copies, null if created/deleted)
+    logEvent(action, before, after, details = {}) {
+        if (window.EventLog) {
+            window.EventLog.record(action, before, after, details);
+        }
+    }
+
+    // Get all orders
+    getOrders() {
+        return window.DataStore.get('orders', []);
+    }
+
+    // Replace the stored orders
+    saveOrders(orders) {
+        window.DataStore.set('orders', orders);
+    }
+
+    // Append a new order
+    addOrder(order) {
+        const orders = this.getOrders();
+        orders.push(order);
+        this.saveOrders(orders);
+        return order;
+    }
+
+    // Get all refund entries
+    getRefunds() {
+        return window.DataStore.get('refunds', []);
+    }
+
+    // Replace the stored refund entries
+    saveRefunds(refunds) {
+        window.DataStore.set('refunds', refunds);
+    }
+
+    // Get unexpired stock holds, optionally for a single record (and variant)
+    getActiveReservations(recordId = null, variantId = null) {
+        const now = Date.now();
+        return window.DataStore.get('stockReservations', []).filter(reservation =>
+            new Date(reservation.expiresAt).getTime() > now &&
+            (!recordId || reservation.recordId === recordId) &&
+            (!variantId || reservation.variantId === variantId)
+        );
+    }
+
+    // Units that can still be sold: stock minus units held by open checkouts
+    // With a variantId only that variant's stock counts
+    getAvailableQuantity(recordId, variantId = null) {
+        const record = this.loadRecords().find(r => r.id === recordId);
+        if (!record || record.type !== 'immediate') {
+            return 0;
+        }
+
+        const stock = variantId ? (this.getVariant(record, variantId) || { quantity: 0 }).quantity : record.quantity;
+        const held = this.getActiveReservations(recordId, variantId).reduce((sum, r) => sum + r.quantity, 0);
+        return Math.max(0, (stock || 0) - held);
+    }
+
+    // Get a variant (color/weight/sleeve pressing) of a record
+    getVariant(record, variantId) {
+        return (record.variants || []).find(variant => variant.id === variantId);
+    }
+
+    // Price of a variant: the record price plus the variant's price delta
+    getVariantPrice(record, variant) {
+        return Math.round((record.price + (variant ? variant.priceDelta || 0 : 0)) * 100) / 100;
+    }
+
+    // Short description of a variant, e.g. "Marbled · 180g · Gatefold"
+    getVariantLabel(variant) {
+        return [variant.color, variant.weight, variant.sleeve].filter(Boolean).join(' · ') || variant.sku;
+    }
+
+    // Place a time-limited hold on units of an immediate sale record
+    // Records with variants need the variantId of the pressing being bought
+    reserveStock(recordId, quantity = 1, variantId = null, minutes = this.reservationMinutes) {
+        const record = this.reloadRecords().find(r => r.id === recordId);
         if (!record || record.type !== 'immediate') {
             console.error('Record not found or not available for immediate sale');
+            return null;
+        }
+
+        if (!this.isLaunched(record)) {
+            console.error('Record is not on sale yet');
+            return null;
+        }
+
+        if (record.variants && record.variants.length > 0 && !this.getVariant(record, variantId)) {
+            console.error('Variant not found for this record');
+            return null;
+        }
+
+        if (this.getAvailableQuantity(recordId, variantId) < quantity) {
+            console.error('Insufficient stock');
+            return null;
+        }
+
+        const reservation = {
+            id: 'hold_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            recordId: recordId,
+            variantId: variantId,
+            quantity: quantity,
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + minutes * 60 * 1000).toISOString()
+        };
+
+        // Expired holds are dropped whenever the list is written back
+        const reservations = this.getActiveReservations();
+        reservations.push(reservation);
+        window.DataStore.set('stockReservations', reservations);
+
+        console.log(`Reserved ${quantity} units of ${record.albumTitle} until ${reservation.expiresAt}`);
+        return reservation;
+    }
+
+    // Give held units back (checkout abandoned or quantity changed)
+    releaseReservation(reservationId) {
+        const reservations = this.getActiveReservations();
+        const remaining = reservations.filter(r => r.id !== reservationId);
+        window.DataStore.set('stockReservations', remaining);
+        return remaining.length !== reservations.length;
+    }
+
+    // Turn a hold into a sale
+    confirmReservation(reservationId) {
+        const reservation = this.getActiveReservations().find(r => r.id === reservationId);
+        if (!reservation) {
+            console.error('Reservation expired or not found');
             return false;
         }
 
-        if (record.quantity < quantity) {
+        const record = this.reloadRecords().find(r => r.id === reservation.recordId);
+        const variant = record && reservation.variantId ? this.getVariant(record, reservation.variantId) : null;
+        if (!record || record.quantity < reservation.quantity ||
+            (reservation.variantId && (!variant || variant.quantity < reservation.quantity))) {
             console.error('Insufficient stock');
+            this.releaseReservation(reservationId);
             return false;
         }
 
+        // Deep copy: the variant below is changed in place
+        const before = structuredClone(record);
+
         // Update inventory
-        record.quantity -= quantity;
-        record.sold = (record.sold || 0) + quantity;
+        if (variant) {
+            variant.quantity -= reservation.quantity;
+            variant.sold = (variant.sold || 0) + reservation.quantity;
+        }
+        record.quantity -= reservation.quantity;
+        record.sold = (record.sold || 0) + reservation.quantity;
 
         // Update status if out of stock
         if (record.quantity <= 0) {
             record.status = 'out_of_stock';
         }
 
-        this.saveRecords();
-        console.log(`Purchase processed: ${quantity} units of ${record.albumTitle}`);
-        
+        this.commitRecord(record);
+        this.releaseReservation(reservationId);
+        this.logEvent('immediate_purchase', before, record, { quantity: reservation.quantity, variantId: reservation.variantId || null });
+        console.log(`Purchase processed: ${reservation.quantity} units of ${record.albumTitle}${variant ? ` (${variant.sku})` : ''}`);
+
         // Trigger dashboard update
         this.notifyDashboardUpdate();
-        
+
         return true;
     }
 
+    // Process a purchase for immediate sale records
+    processImmediatePurchase(recordId, quantity = 1, variantId = null) {
+        const reservation = this.reserveStock(recordId, quantity, variantId);
+        if (!reservation) {
+            return false;
+        }
+
+        return this.confirmReservation(reservation.id);
+    }
+
+    // Get a reward tier of a campaign
+    getRewardTier(record, tierId) {
+        return (record.rewardTiers || []).find(tier => tier.id === tierId);
+    }
+
+    // Pledges still available in a tier (Infinity when the tier is unlimited)
+    getTierRemaining(tier) {
+        if (tier.limit === null || tier.limit === undefined) {
+            return Infinity;
+        }
+        return Math.max(0, tier.limit - (tier.claimed || 0));
+    }
+
     // Process a pre-order for crowdfunding campaigns
-    processCrowdfundingPurchase(recordId, amount) {
-        const record = this.records.find(r => r.id === recordId);
+    // Campaigns with reward tiers need a tierId; quantity is the number of pledges in that tier
+    // amount is what the backer pays, after any discount code (discount); the tier price is checked before discount
+    // The pledge counts towards the goal straight away, but its payment is only authorised until the campaign closes
+    processCrowdfundingPurchase(recordId, amount, tierId = null, quantity = 1, discount = 0) {
+        const record = this.reloadRecords().find(r => r.id === recordId);
         if (!record || record.type !== 'crowdfunding') {
             console.error('Record not found or not a crowdfunding campaign');
             return false;
         }
 
-        // Check if campaign is still active
+        // Check if campaign has started and is still active
+        if (!this.isLaunched(record)) {
+            console.error('Campaign has not launched yet');
+            return false;
+        }
         const daysLeft = this.calculateDaysLeft(record.startDate, record.campaignDays);
         if (daysLeft <= 0) {
             console.error('Campaign has ended');
             return false;
         }
 
+        // Deep copy: the tier and stretch goals below are changed in place
+        const before = structuredClone(record);
+
+        // Check the chosen reward tier
+        let tier = null;
+        if (record.rewardTiers && record.rewardTiers.length > 0) {
+            tier = this.getRewardTier(record, tierId);
+            if (!tier) {
+                console.error('Reward tier not found for this campaign');
+                return false;
+            }
+            if (this.getTierRemaining(tier) < quantity) {
+                console.error(`Reward tier sold out: ${tier.name}`);
+                return false;
+            }
+            if (Math.round((amount + discount) * 100) < Math.round(tier.price * quantity * 100)) {
+                console.error(`Pledge of €${amount + discount} is below the €${tier.price} price of ${tier.name}`);
+                return false;
+            }
+
+            tier.claimed = (tier.claimed || 0) + quantity;
+            tier.raised = (tier.raised || 0) + amount;
+        }
+
         // Update campaign progress
-        record.raised = (record.raised || 0) + amount;
+        const previousRaised = record.raised || 0;
+        record.raised = previousRaised + amount;
         record.backers = (record.backers || 0) + 1;
+        const milestones = this.collectMilestones(record, previousRaised);
 
         // Check if goal is reached
         if (record.raised >= record.fundingGoal) {
@@ -70,15 +299,93 @@ class PurchaseTracker {
             console.log(`Campaign funded: ${record.albumTitle} reached €${record.fundingGoal}`);
         }
 
-        this.saveRecords();
-        console.log(`Pre-order processed: €${amount} for ${record.albumTitle}`);
+        this.commitRecord(record);
+        this.logEvent('crowdfunding_pledge', before, record, {
+            amount: amount,
+            quantity: quantity,
+            tierId: tier ? tier.id : null,
+            milestones: milestones.map(milestone => milestone.title)
+        });
+        console.log(`Pre-order processed: €${amount} for ${record.albumTitle}${tier ? ` (${tier.name})` : ''}`);
+        milestones.forEach(milestone => console.log(`Milestone reached: ${milestone.title} for ${record.albumTitle}`));
         
         // Trigger dashboard update
-        this.notifyDashboardUpdate();
+        this.notifyDashboardUpdate(milestones);
         
         return true;
     }
 
+    // Record the funding goal and any stretch goals crossed by a pledge; returns the new milestones
+    collectMilestones(record, previousRaised) {
+        const reachedAt = new Date().toISOString();
+        const milestones = [];
+        const addMilestone = (details) => {
+            milestones.push({
+                id: 'milestone_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                recordId: record.id,
+                recordTitle: record.albumTitle,
+                ...details,
+                reachedAt: reachedAt,
+                notifiedAt: null
+            });
+        };
+
+        if (previousRaised < record.fundingGoal && record.raised >= record.fundingGoal) {
+            addMilestone({ type: 'goal_reached', title: 'Funding goal reached', amount: record.fundingGoal });
+        }
+
+        (record.stretchGoals || [])
+            .filter(goal => !goal.unlockedAt && record.raised >= goal.amount)
+            .forEach(goal => {
+                goal.unlockedAt = reachedAt;
+                addMilestone({
+                    type: 'stretch_goal',
+                    goalId: goal.id,
+                    title: goal.title,
+                    description: goal.description,
+                    amount: goal.amount
+                });
+            });
+
+        record.milestones = [...(record.milestones || []), ...milestones];
+        return milestones;
+    }
+
+    // Get the next stretch goal still to unlock, if any
+    getNextStretchGoal(record) {
+        return (record.stretchGoals || []).find(goal => !goal.unlockedAt) || null;
+    }
+
+    // Record that backers were emailed about a milestone
+    markMilestoneNotified(recordId, milestoneId) {
+        const current = this.reloadRecords().find(r => r.id === recordId);
+        const milestone = current && (current.milestones || []).find(m => m.id === milestoneId);
+        if (!milestone) {
+            return false;
+        }
+
+        milestone.notifiedAt = new Date().toISOString();
+        try {
+            this.commitRecord(current);
+        } catch (error) {
+            if (error instanceof StockConflictError) {
+                console.warn(`Could not mark milestone ${milestoneId} as notified:`, error.message);
+                return false;
+            }
+            throw error;
+        }
+        return true;
+    }
+
+    // Orders that back a campaign and have not been refunded
+    getBackerOrders(recordId) {
+        return this.getOrders().filter(order => {
+            const lines = order.lineItems || [{ recordId: order.recordId, type: order.type }];
+            return order.status !== 'refunded' &&
+                lines.some(line => line.recordId === recordId && line.type === 'crowdfunding' && !line.refunded);
+        });
+    }
+
     // Calculate days left for a campaign
     calculateDaysLeft(startDate, campaignDays) {
         const start = new Date(startDate);
@@ -89,6 +396,366 @@ class PurchaseTracker {
         return Math.max(0, diffDays);
     }
 
+    // When a record goes on sale: the start of a campaign, or the release time of an in-stock record
+    // Returns null for records that have been on sale since they were uploaded
+    getLaunchDate(record) {
+        const launch = record.type === 'crowdfunding' ? record.startDate : record.launchAt;
+        return launch ? new Date(launch) : null;
+    }
+
+    // Whether a record can be bought yet
+    isLaunched(record, now = new Date()) {
+        const launch = this.getLaunchDate(record);
+        return !launch || launch <= now;
+    }
+
+    // Countdown to a record's launch, e.g. "3d 04h 12m" or "12m 30s" in the last hour
+    getLaunchCountdown(record, now = new Date()) {
+        const launch = this.getLaunchDate(record);
+        const ms = launch ? launch - now : 0;
+        if (ms <= 0) {
+            return '';
+        }
+
+        const totalSeconds = Math.floor(ms / 1000);
+        const days = Math.floor(totalSeconds / 86400);
+        const hours = String(Math.floor((totalSeconds % 86400) / 3600)).padStart(2, '0');
+        const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        if (days > 0) {
+            return `${days}d ${hours}h ${minutes}m`;
+        }
+        return hours !== '00' ? `${hours}h ${minutes}m ${seconds}s` : `${minutes}m ${seconds}s`;
+    }
+
+    // Settle every crowdfunding campaign whose window has closed (all-or-nothing):
+    // campaigns that reached their goal become 'funded', the rest 'failed' and their backers are refunded
+    settleExpiredCampaigns() {
+        const result = { funded: [], failed: [], refunds: [] };
+
+        this.reloadRecords()
+            .filter(r =>
+                r.type === 'crowdfunding' &&
+                !r.settledAt &&
+                ['campaign', 'funded'].includes(r.status) &&
+                this.calculateDaysLeft(r.startDate, r.campaignDays) <= 0
+            )
+            .forEach(current => {
+                const record = { ...current };
+                record.status = (record.raised || 0) >= record.fundingGoal ? 'funded' : 'failed';
+                record.settledAt = new Date().toISOString();
+
+                try {
+                    this.commitRecord(record);
+                } catch (error) {
+                    // Another tab settled or changed it first; the next run picks it up again
+                    if (error instanceof StockConflictError) {
+                        console.warn(`Skipping settlement of ${record.albumTitle}:`, error.message);
+                        return;
+                    }
+                    throw error;
+                }
+
+                this.logEvent('campaign_settled', current, record, { actor: 'system' });
+                console.log(`Campaign settled: ${record.albumTitle} ${record.status} with €${record.raised || 0} of €${record.fundingGoal}`);
+                if (record.status === 'funded') {
+                    result.funded.push(record);
+                } else {
+                    result.failed.push(record);
+                    result.refunds.push(...this.refundCampaignBackers(record));
+                }
+            });
+
+        if (result.funded.length > 0 || result.failed.length > 0) {
+            this.notifyDashboardUpdate();
+        }
+        return result;
+    }
+
+    // Create a refund entry for every backer order of a failed campaign and mark those orders refunded
+    refundCampaignBackers(record) {
+        const orders = this.getOrders();
+        const refunds = this.getRefunds();
+        const created = [];
+
+        orders.forEach(order => {
+            const lines = this.getOrderLines(order);
+            const backedLines = lines.filter(line => line.recordId === record.id && line.type === 'crowdfunding' && !line.refunded);
+            if (backedLines.length === 0 || order.status === 'refunded') {
+                return;
+            }
+
+            const amount = backedLines.reduce((sum, line) => sum + (line.amount || 0), 0);
+            // Pledges still only authorised are voided rather than refunded - nothing was charged
+            const authorised = backedLines.every(line => line.paymentStatus === 'authorised');
+            // The customer paid the pledge with VAT; its authorisation says exactly how much
+            const intent = backedLines[0].paymentIntentId && window.PaymentGateway ?
+                window.PaymentGateway.getIntent(backedLines[0].paymentIntentId) : null;
+            const gross = intent ? intent.amount : Math.round(amount * (100 + (order.vat ? order.vat.rate : 0))) / 100;
+            const refund = {
+                id: 'refund_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                orderId: order.id,
+                recordId: record.id,
+                recordTitle: record.albumTitle,
+                customerName: order.customerName,
+                customerEmail: this.getOrderEmail(order),
+                amount: gross,
+                ...this.getRefundVat(order, gross),
+                reason: 'campaign_failed',
+                // Captured pledges go back through the payment gateway; pledges taken before it are sent by bank transfer
+                method: authorised ? 'void' : backedLines[0].paymentIntentId ? 'refund' : 'manual',
+                paymentIntentId: backedLines[0].paymentIntentId || null,
+                status: 'pending',
+                createdAt: new Date().toISOString(),
+                notifiedAt: null
+            };
+            refunds.push(refund);
+            created.push(refund);
+
+            backedLines.forEach(line => {
+                line.refunded = true;
+            });
+            if (order.lineItems) {
+                order.lineItems = lines;
+            }
+            order.refundedAmount = Math.round(((order.refundedAmount || 0) + gross) * 100) / 100;
+            order.refundedAt = refund.createdAt;
+            // A partly refunded order carries on with its other lines
+            if (lines.every(line => line.refunded)) {
+                window.OrderLifecycle.applyTransition(order, 'refunded', { actor: 'system', note: `${record.albumTitle} missed its funding goal` });
+            }
+        });
+
+        this.saveOrders(orders);
+        this.saveRefunds(refunds);
+        console.log(`Created ${created.length} refunds for failed campaign ${record.albumTitle}`);
+        return created;
+    }
+
+    // Line items of an order; orders placed before the cart existed have a single record and no line items
+    getOrderLines(order) {
+        return order.lineItems || [{
+            recordId: order.recordId,
+            recordTitle: order.recordTitle,
+            type: order.type,
+            quantity: order.quantity || 1,
+            amount: order.amount
+        }];
+    }
+
+    // Undo what a refunded order line did to its record: a pledge comes off the campaign's raised
+    // amount and backer count, sold units go back in stock when restock is set (e.g. returned unopened)
+    reverseOrderLine(order, line, restock = true) {
+        const current = this.reloadRecords().find(r => r.id === line.recordId);
+        if (!current) {
+            return false;
+        }
+
+        if (line.type === 'crowdfunding') {
+            return this.cancelPledge(line.recordId, line.amount, line.tierId || null, line.quantity || 1, 'pledge_refunded');
+        }
+
+        // A backorder still in the queue never took stock; it just leaves the queue
+        const backorder = line.backorder && window.Waitlist ?
+            window.Waitlist.getEntries().find(e => e.type === 'backorder' && e.orderId === order.id && e.recordId === line.recordId) : null;
+        if (backorder && backorder.status === 'waiting') {
+            return window.Waitlist.cancel(backorder.id);
+        }
+        if (!restock) {
+            return true;
+        }
+
+        this.returnStock(line.recordId, line.quantity || 1, line.variantId || null, 'refund_restock');
+
+        // Returned units go to backorders and the waitlist first, like any restock
+        if (window.Waitlist) {
+            window.Waitlist.processRestock(line.recordId);
+        }
+        this.notifyDashboardUpdate();
+        return true;
+    }
+
+    // Take a pledge off its campaign (refunded, or made by a checkout that could not be completed)
+    cancelPledge(recordId, amount, tierId = null, quantity = 1, action = 'pledge_cancelled') {
+        const current = this.reloadRecords().find(r => r.id === recordId);
+        if (!current) {
+            return false;
+        }
+
+        const record = { ...current, rewardTiers: (current.rewardTiers || []).map(tier => ({ ...tier })) };
+        record.raised = Math.max(0, Math.round(((record.raised || 0) - amount) * 100) / 100);
+        record.backers = Math.max(0, (record.backers || 0) - 1);
+        const tier = tierId ? this.getRewardTier(record, tierId) : null;
+        if (tier) {
+            tier.claimed = Math.max(0, (tier.claimed || 0) - quantity);
+            tier.raised = Math.max(0, (tier.raised || 0) - amount);
+        }
+        // A campaign still running is no longer funded if this takes it below its goal
+        if (record.status === 'funded' && !record.settledAt && record.raised < record.fundingGoal) {
+            record.status = 'campaign';
+        }
+        this.commitRecord(record);
+        this.logEvent(action, current, record, { amount: amount, tierId: tierId });
+        this.notifyDashboardUpdate();
+        return true;
+    }
+
+    // Put sold units back in stock (refund with restock, or a checkout that could not be completed)
+    returnStock(recordId, quantity, variantId = null, action = 'sale_cancelled') {
+        const current = this.reloadRecords().find(r => r.id === recordId);
+        if (!current) {
+            return false;
+        }
+
+        const record = { ...current, variants: (current.variants || []).map(variant => ({ ...variant })) };
+        const variant = variantId ? this.getVariant(record, variantId) : null;
+        if (variant) {
+            variant.quantity += quantity;
+            variant.sold = Math.max(0, (variant.sold || 0) - quantity);
+        }
+        record.quantity = (record.quantity || 0) + quantity;
+        record.sold = Math.max(0, (record.sold || 0) - quantity);
+        if (record.status === 'out_of_stock') {
+            record.status = 'available';
+        }
+        this.commitRecord(record);
+        this.logEvent(action, current, record, { quantity: quantity, variantId: variantId });
+        return true;
+    }
+
+    // Record a refund made from the dashboard: the refunded lines, the entry in 'refunds' and,
+    // when nothing is left to give back (full), the order's move to refunded
+    recordOrderRefund(orderId, { lineIndexes = [], amount = 0, voidedAmount = 0, method = 'refund', paymentIntentIds = [], reason = '', status = 'completed', full = false }) {
+        const orders = this.getOrders();
+        const order = orders.find(o => o.id === orderId);
+        if (!order) {
+            return null;
+        }
+
+        const lines = this.getOrderLines(order);
+        const refundedLines = lineIndexes.map(index => lines[index]).filter(Boolean);
+        const now = new Date().toISOString();
+        const refund = {
+            id: 'refund_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            orderId: order.id,
+            recordId: refundedLines.length > 0 ? refundedLines[0].recordId : order.recordId,
+            recordTitle: refundedLines.length > 0 ? refundedLines.map(line => line.recordTitle).join(', ') : order.recordTitle,
+            customerName: order.customerName,
+            customerEmail: this.getOrderEmail(order),
+            amount: Math.round((amount + voidedAmount) * 100) / 100,
+            ...this.getRefundVat(order, amount + voidedAmount),
+            refundedAmount: amount,
+            voidedAmount: voidedAmount,
+            reason: reason || 'admin',
+            method: method,
+            paymentIntentIds: paymentIntentIds,
+            lineIndexes: lineIndexes,
+            status: status,
+            createdAt: now,
+            completedAt: status === 'completed' ? now : null,
+            notifiedAt: null
+        };
+
+        refundedLines.forEach(line => {
+            line.refunded = true;
+            line.refundedAt = now;
+        });
+        order.lineItems = lines;
+        order.refundedAmount = Math.round(((order.refundedAmount || 0) + refund.amount) * 100) / 100;
+        order.refundedAt = now;
+        if (full) {
+            window.OrderLifecycle.applyTransition(order, 'refunded', { actor: 'admin', note: reason || null });
+        }
+
+        const refunds = this.getRefunds();
+        refunds.push(refund);
+        this.saveOrders(orders);
+        this.saveRefunds(refunds);
+        this.notifyDashboardUpdate();
+        return { refund: refund, order: order };
+    }
+
+    // Net and VAT of a refund paid back gross, at the order's rate (no VAT on orders placed before it was recorded)
+    getRefundVat(order, gross) {
+        const rate = order.vat ? order.vat.rate : 0;
+        const tax = Math.round(gross * rate / (100 + rate) * 100) / 100;
+        return { net: Math.round((gross - tax) * 100) / 100, tax: tax };
+    }
+
+    // Best address to reach the customer of an order (guests leave a contact email)
+    getOrderEmail(order) {
+        if (order.customerEmail && order.customerEmail.includes('@')) {
+            return order.customerEmail;
+        }
+        return order.contactEmail || null;
+    }
+
+    // Record that the money of a refund went back (or its authorisation was voided)
+    markRefundCompleted(refundId) {
+        const refunds = this.getRefunds();
+        const refund = refunds.find(r => r.id === refundId);
+        if (!refund) {
+            return false;
+        }
+        refund.status = 'completed';
+        refund.completedAt = new Date().toISOString();
+        this.saveRefunds(refunds);
+        return true;
+    }
+
+    // Overall payment state of an order's pledges: 'authorised' while any wait for their campaign,
+    // then 'captured' if any were taken, 'refunded' if they were given back, otherwise 'voided' (null for orders without pledge payments)
+    getPledgeStatus(order) {
+        const statuses = (order.lineItems || [])
+            .filter(line => line.type === 'crowdfunding' && line.paymentStatus)
+            .map(line => line.paymentStatus);
+        if (statuses.length === 0) {
+            return null;
+        }
+        if (statuses.includes('authorised')) {
+            return 'authorised';
+        }
+        if (statuses.includes('captured')) {
+            return 'captured';
+        }
+        if (statuses.includes('refunded')) {
+            return 'refunded';
+        }
+        return statuses.includes('failed') ? 'failed' : 'voided';
+    }
+
+    // Set the payment status of the pledge lines an authorisation covers
+    setPledgePaymentStatus(orderId, intentId, status) {
+        const orders = this.getOrders();
+        const order = orders.find(o => o.id === orderId);
+        const lines = order && (order.lineItems || []).filter(line => line.paymentIntentId === intentId);
+        if (!lines || lines.length === 0) {
+            return false;
+        }
+
+        const now = new Date().toISOString();
+        lines.forEach(line => {
+            line.paymentStatus = status;
+            line[status + 'At'] = now;
+        });
+        order.pledgeStatus = this.getPledgeStatus(order);
+        this.saveOrders(orders);
+        this.notifyDashboardUpdate();
+        return true;
+    }
+
+    // Record that a refund email went out
+    markRefundNotified(refundId) {
+        const refunds = this.getRefunds();
+        const refund = refunds.find(r => r.id === refundId);
+        if (!refund) {
+            return false;
+        }
+        refund.notifiedAt = new Date().toISOString();
+        this.saveRefunds(refunds);
+        return true;
+    }
+
     // Get record by ID
     getRecord(recordId) {
         return this.records.find(r => r.id === recordId);
@@ -101,48 +768,94 @@ class PurchaseTracker {
 
     // Get immediate sale records
     getImmediateRecords() {
-        return this.records.filter(r => r.type === 'immediate' && r.status === 'available');
+        return this.records.filter(r => r.type === 'immediate' && r.status === 'available' && this.isLaunched(r));
     }
 
-    // Get active crowdfunding campaigns
+    // Get active crowdfunding campaigns (started and not yet ended)
     getActiveCampaigns() {
         return this.records.filter(r => 
             r.type === 'crowdfunding' && 
             r.status === 'campaign' && 
+            this.isLaunched(r) &&
             this.calculateDaysLeft(r.startDate, r.campaignDays) > 0
         );
     }
 
+    // Get records scheduled to launch later, soonest first
+    getUpcomingRecords(type = null) {
+        return this.records
+            .filter(r => (!type || r.type === type) && !this.isLaunched(r))
+            .sort((a, b) => this.getLaunchDate(a) - this.getLaunchDate(b));
+    }
+
     // Get funded campaigns
     getFundedCampaigns() {
         return this.records.filter(r => r.type === 'crowdfunding' && r.status === 'funded');
     }
 
     // Notify dashboard of updates
-    notifyDashboardUpdate() {
+    // milestones lists goals reached by the change that triggered this update
+    notifyDashboardUpdate(milestones = []) {
         // Dispatch custom event for dashboard to listen to
         window.dispatchEvent(new CustomEvent('purchaseUpdate', {
-            detail: { records: this.records }
+            detail: { records: this.records, milestones }
         }));
     }
 
     // Add new record (called from admin upload)
     addRecord(recordData) {
+        const variants = (recordData.variants || []).map(variant => ({
+            id: variant.id || this.generateVariantId(),
+            sku: variant.sku,
+            color: variant.color || '',
+            weight: variant.weight || '',
+            sleeve: variant.sleeve || '',
+            priceDelta: variant.priceDelta || 0,
+            quantity: variant.quantity || 0,
+            sold: 0,
+            images: variant.images || []
+        }));
+
         const record = {
             id: this.generateRecordId(),
             ...recordData,
             uploadedAt: new Date().toISOString(),
             status: recordData.type === 'immediate' ? 'available' : 'campaign',
+            version: 1,
             ...(recordData.type === 'immediate' ? {
-                sold: 0
+                sold: 0,
+                variants: variants,
+                // With variants the record's stock is the sum of its pressings
+                ...(variants.length > 0 ? { quantity: variants.reduce((sum, variant) => sum + variant.quantity, 0) } : {})
             } : {
                 raised: 0,
-                backers: 0
+                backers: 0,
+                rewardTiers: (recordData.rewardTiers || []).map(tier => ({
+                    id: tier.id || this.generateTierId(),
+                    name: tier.name,
+                    price: tier.price,
+                    limit: tier.limit === undefined ? null : tier.limit,
+                    description: tier.description || '',
+                    claimed: 0,
+                    raised: 0
+                })),
+                stretchGoals: (recordData.stretchGoals || [])
+                    .map(goal => ({
+                        id: goal.id || this.generateGoalId(),
+                        amount: goal.amount,
+                        title: goal.title,
+                        description: goal.description || '',
+                        unlockedAt: null
+                    }))
+                    .sort((a, b) => a.amount - b.amount),
+                milestones: []
             })
         };
 
+        this.reloadRecords();
         this.records.push(record);
         this.saveRecords();
+        this.logEvent('record_added', null, record);
         
         console.log('Record added:', record);
         this.notifyDashboardUpdate();
@@ -154,59 +867,244 @@ class PurchaseTracker {
         return 'record_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    generateTierId() {
+        return 'tier_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    generateVariantId() {
+        return 'variant_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    generateGoalId() {
+        return 'goal_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
     // Update record inventory manually (for admin use)
-    updateInventory(recordId, newQuantity) {
-        const record = this.records.find(r => r.id === recordId);
-        if (!record || record.type !== 'immediate') {
+    // expectedVersion is the version the admin was looking at; defaults to this tab's copy
+    // With a variantId only that variant's stock is set and the record total follows
+    updateInventory(recordId, newQuantity, expectedVersion, variantId = null) {
+        const current = this.records.find(r => r.id === recordId);
+        if (!current || current.type !== 'immediate') {
             return false;
         }
 
-        record.quantity = newQuantity;
-        record.status = newQuantity > 0 ? 'available' : 'out_of_stock';
-        
+        const record = {
+            ...current,
+            variants: (current.variants || []).map(variant => ({ ...variant })),
+            version: expectedVersion !== undefined ? expectedVersion : current.version
+        };
+        let restocked = false;
+        if (variantId) {
+            const variant = this.getVariant(record, variantId);
+            if (!variant) {
+                return false;
+            }
+            restocked = newQuantity > variant.quantity;
+            variant.quantity = newQuantity;
+            record.quantity = record.variants.reduce((sum, v) => sum + v.quantity, 0);
+        } else if (record.variants.length > 0) {
+            console.error('Stock of a record with variants is set per variant');
+            return false;
+        } else {
+            restocked = newQuantity > record.quantity;
+            record.quantity = newQuantity;
+        }
+        record.status = record.quantity > 0 ? 'available' : 'out_of_stock';
+
+        this.commitRecord(record);
+        this.logEvent('inventory_updated', current, record, { variantId: variantId });
+
+        // New stock goes to backorders and the waitlist first, in the order customers queued
+        if (restocked && window.Waitlist) {
+            window.Waitlist.processRestock(recordId);
+        }
+        this.notifyDashboardUpdate();
+
+        return true;
+    }
+
+    // Let customers pay for a sold-out record now and receive it when it is restocked
+    setBackorderAllowed(recordId, allowed) {
+        const current = this.reloadRecords().find(r => r.id === recordId);
+        if (!current || current.type !== 'immediate') {
+            return false;
+        }
+
+        const record = { ...current, allowBackorder: !!allowed };
+        this.commitRecord(record);
+        this.logEvent(allowed ? 'backorders_enabled' : 'backorders_disabled', current, record);
+        this.notifyDashboardUpdate();
+
+        return true;
+    }
+
+    // Apply admin changes (status, stats, images...) to a record
+    // expectedVersion is the version the admin was looking at; defaults to the stored copy
+    updateRecord(recordId, changes, action = 'record_updated', expectedVersion) {
+        const current = this.reloadRecords().find(r => r.id === recordId);
+        if (!current) {
+            return null;
+        }
+
+        const record = {
+            ...current,
+            ...changes,
+            version: expectedVersion !== undefined ? expectedVersion : current.version
+        };
+        this.commitRecord(record);
+        this.logEvent(action, current, record);
+        this.notifyDashboardUpdate();
+
+        return record;
+    }
+
+    // Remove a record, refusing if it changed since the admin looked at it
+    deleteRecord(recordId, expectedVersion, action = 'record_deleted') {
+        const stored = this.reloadRecords();
+        const current = stored.find(r => r.id === recordId);
+        if (!current) {
+            return false;
+        }
+
+        const storedVersion = current.version || 0;
+        if (expectedVersion !== undefined && (expectedVersion || 0) !== storedVersion) {
+            throw new StockConflictError(recordId, expectedVersion || 0, storedVersion);
+        }
+
+        this.records = stored.filter(r => r.id !== recordId);
         this.saveRecords();
+        this.logEvent(action, current, null);
         this.notifyDashboardUpdate();
-        
+
         return true;
     }
 
-    // Get inventory alerts (low stock)
+    // Store ready-made records (demo data) whose ids are not taken yet; returns how many were added
+    seedRecords(records) {
+        const stored = this.reloadRecords();
+        const added = records
+            .filter(record => !stored.some(r => r.id === record.id))
+            .map(record => ({ ...record, version: 1 }));
+        if (added.length === 0) {
+            return 0;
+        }
+
+        this.records = stored.concat(added);
+        this.saveRecords();
+        added.forEach(record => this.logEvent('record_added', null, record));
+        this.notifyDashboardUpdate();
+
+        return added.length;
+    }
+
+    // Get alert settings: global thresholds, per-record overrides and the admin address alerts go to
+    getAlertSettings() {
+        const settings = window.DataStore.get('alertSettings', {});
+        return {
+            global: { lowStockThreshold: 10, campaignEndingDays: 7, ...(settings.global || {}) },
+            records: settings.records || {},
+            adminEmail: settings.adminEmail || 'waxencounters@gmail.com'
+        };
+    }
+
+    // Save alert settings and re-evaluate alerts against them
+    saveAlertSettings(settings) {
+        window.DataStore.set('alertSettings', settings);
+        this.notifyDashboardUpdate();
+    }
+
+    // Thresholds for one record: its own rule where set, the global one otherwise
+    getAlertThresholds(recordId, settings = this.getAlertSettings()) {
+        return { ...settings.global, ...(settings.records[recordId] || {}) };
+    }
+
+    // Set (or with null values, clear) a record's own alert thresholds
+    setRecordAlertThresholds(recordId, thresholds) {
+        const settings = this.getAlertSettings();
+        const rule = {};
+        Object.keys(thresholds).forEach(key => {
+            if (thresholds[key] !== null && thresholds[key] !== undefined) {
+                rule[key] = thresholds[key];
+            }
+        });
+
+        if (Object.keys(rule).length > 0) {
+            settings.records[recordId] = rule;
+        } else {
+            delete settings.records[recordId];
+        }
+        this.saveAlertSettings(settings);
+    }
+
+    // Get inventory alerts (low stock); records with variants are alerted per variant instead
     getInventoryAlerts() {
+        const settings = this.getAlertSettings();
         return this.records.filter(r => 
             r.type === 'immediate' && 
+            !(r.variants && r.variants.length > 0) &&
             r.quantity > 0 && 
-            r.quantity <= 10
+            r.quantity <= this.getAlertThresholds(r.id, settings).lowStockThreshold
         );
     }
 
+    // Get per-variant inventory alerts (low stock of one pressing) as { record, variant } pairs
+    getVariantAlerts() {
+        const settings = this.getAlertSettings();
+        return this.records
+            .filter(r => r.type === 'immediate')
+            .flatMap(record => (record.variants || [])
+                .filter(variant =>
+                    variant.quantity > 0 &&
+                    variant.quantity <= this.getAlertThresholds(record.id, settings).lowStockThreshold
+                )
+                .map(variant => ({ record, variant }))
+            );
+    }
+
     // Get campaign alerts (ending soon)
     getCampaignAlerts() {
+        const settings = this.getAlertSettings();
         return this.records.filter(r => 
             r.type === 'crowdfunding' && 
             r.status === 'campaign' && 
-            this.calculateDaysLeft(r.startDate, r.campaignDays) <= 7
+            this.calculateDaysLeft(r.startDate, r.campaignDays) <= this.getAlertThresholds(r.id, settings).campaignEndingDays
         );
     }
 
     // Get statistics
-    getStatistics() {
+    // realizedRevenue (in-stock sales) and pledgedRevenue (campaign pledges) are reported separately;
+    // totalRevenue is their sum. With the sales report loaded, revenueSeries holds revenue per period
+    getStatistics(period = 'month') {
         const immediateRecords = this.records.filter(r => r.type === 'immediate');
         const crowdfundingRecords = this.records.filter(r => r.type === 'crowdfunding');
-        
+        const discountedOrders = this.getOrders().filter(order => order.discount && order.status !== 'refunded');
+        // Sales count what was paid for each line (variant price, after discounts) until the line is refunded
+        const realizedRevenue = Math.round(this.getOrders()
+            .filter(order => !['pending_payment', 'cancelled', 'refunded'].includes(order.status))
+            .flatMap(order => this.getOrderLines(order))
+            .filter(line => line.type !== 'crowdfunding' && !line.refunded)
+            .reduce((sum, line) => sum + (line.amount || 0), 0) * 100) / 100;
+        const pledgedRevenue = crowdfundingRecords.reduce((sum, record) => sum + (record.raised || 0), 0);
+        // Part of the pledges that is authorised but not yet captured
+        const authorisedPledges = this.getOrders()
+            .flatMap(order => order.lineItems || [])
+            .filter(line => line.type === 'crowdfunding' && line.paymentStatus === 'authorised')
+            .reduce((sum, line) => sum + (line.amount || 0), 0);
+
         return {
             totalRecords: this.records.length,
             immediateRecords: immediateRecords.length,
             crowdfundingRecords: crowdfundingRecords.length,
-            totalRevenue: this.records.reduce((sum, record) => {
-                if (record.type === 'immediate') {
-                    return sum + (record.price * (record.sold || 0));
-                } else if (record.type === 'crowdfunding') {
-                    return sum + (record.raised || 0);
-                }
-                return sum;
-            }, 0),
+            realizedRevenue: realizedRevenue,
+            pledgedRevenue: pledgedRevenue,
+            authorisedPledges: Math.round(authorisedPledges * 100) / 100,
+            totalRevenue: realizedRevenue + pledgedRevenue,
             totalSold: immediateRecords.reduce((sum, record) => sum + (record.sold || 0), 0),
-            totalBackers: crowdfundingRecords.reduce((sum, record) => sum + (record.backers || 0), 0)
+            totalBackers: crowdfundingRecords.reduce((sum, record) => sum + (record.backers || 0), 0),
+            discountedOrders: discountedOrders.length,
+            discountedRevenue: Math.round(discountedOrders.reduce((sum, order) => sum + (order.amount || 0), 0) * 100) / 100,
+            discountTotal: Math.round(discountedOrders.reduce((sum, order) => sum + (order.discount.amount || 0) + (order.discount.shippingDiscount || 0), 0) * 100) / 100,
+            revenueSeries: window.SalesReport ? window.SalesReport.getRevenueSeries(period) : []
         };
     }
 }
@@ -214,6 +1112,14 @@ class PurchaseTracker {
 // Global instance
 window.PurchaseTracker = new PurchaseTracker();
 
+// Pick up records written by other tabs or loaded from the storage backend
+window.addEventListener('dataStoreSync', function(event) {
+    if (['uploadedRecords', 'orders', 'refunds', 'recordEvents', 'alertSettings', 'adminNotifications', 'waitlist', 'promotions'].some(key => event.detail.keys.includes(key))) {
+        window.PurchaseTracker.reloadRecords();
+        window.PurchaseTracker.notifyDashboardUpdate();
+    }
+});
+
 // Listen for purchase updates on dashboard
 window.addEventListener('purchaseUpdate', function(event) {
     console.log('Purchase update received:', event.detail);
@@ -228,10 +1134,26 @@ window.addEventListener('purchaseUpdate', function(event) {
     if (typeof updateStatistics === 'function') {
         updateStatistics();
     }
+    if (typeof loadRecordHistory === 'function') {
+        loadRecordHistory();
+    }
+    if (typeof loadAlertInbox === 'function') {
+        loadAlertInbox();
+    }
+    if (typeof loadSalesReport === 'function') {
+        loadSalesReport();
+    }
+    if (typeof loadPromotions === 'function') {
+        loadPromotions();
+    }
+    if (typeof loadVatReport === 'function') {
+        loadVatReport();
+    }
 });
 
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PurchaseTracker;
+    module.exports.StockConflictError = StockConflictError;
 }
 
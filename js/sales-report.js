@@ -0,0 +1,225 @@
+/**
+ * Wax Encounters - Sales Report
+ * Revenue analytics built from the 'orders' collection
+ * Keeps realized sales (in-stock records) apart from crowdfunding pledges,
+ * groups them by day/week/month or by artist, genre and shipping country, and exports CSV
+ */
+
+class SalesReport {
+    constructor() {
+        this.periods = ['day', 'week', 'month'];
+        this.dimensions = {
+            artist: 'Artist',
+            genre: 'Genre',
+            country: 'Shipping Country'
+        };
+    }
+
+    /**
+     * One row per order line with everything the reports group on. Orders never paid or cancelled are
+     * left out, like in PurchaseTracker.getStatistics; refunded lines (every line of a refunded order)
+     * are kept but flagged so they can be left out of revenue
+     */
+    getOrderLines(since = null) {
+        const records = window.DataStore.get('uploadedRecords', []);
+        const recordsById = new Map(records.map(record => [record.id, record]));
+        const cutoff = since ? new Date(since).getTime() : null;
+
+        return window.PurchaseTracker.getOrders()
+            .filter(order => order.timestamp && (!cutoff || new Date(order.timestamp).getTime() >= cutoff))
+            .filter(order => !['pending_payment', 'cancelled'].includes(order.status))
+            .flatMap(order => {
+                // Orders placed before the cart existed have a single record and no line items
+                const lines = order.lineItems || [{
+                    recordId: order.recordId,
+                    recordTitle: order.recordTitle,
+                    recordArtist: order.recordArtist,
+                    type: order.type,
+                    quantity: order.quantity || 1,
+                    amount: order.amount || 0
+                }];
+
+                return lines.map(line => {
+                    const record = recordsById.get(line.recordId);
+                    return {
+                        orderId: order.id,
+                        timestamp: order.timestamp,
+                        kind: line.type === 'crowdfunding' ? 'pledge' : 'sale',
+                        recordId: line.recordId,
+                        recordTitle: line.recordTitle,
+                        artist: line.recordArtist || (record && record.artistName) || 'Unknown',
+                        genre: (record && record.genre) || 'Unknown',
+                        country: (order.recipient && order.recipient.country) || 'Unknown',
+                        quantity: line.quantity || 1,
+                        amount: line.amount || 0,
+                        // An amount-only full refund leaves the lines themselves unflagged
+                        refunded: !!line.refunded || order.status === 'refunded'
+                    };
+                });
+            });
+    }
+
+    /**
+     * Bucket key for a date: YYYY-MM-DD for days, the Monday of the week for weeks, YYYY-MM for months
+     */
+    getPeriodKey(date, period) {
+        const d = new Date(date);
+        if (period === 'week') {
+            d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+        }
+
+        const year = d.getFullYear();
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        return period === 'month' ? `${year}-${month}` : `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Move a date to the start of the next bucket
+     */
+    nextPeriod(date, period) {
+        const d = new Date(date);
+        if (period === 'month') {
+            d.setDate(1);
+            d.setMonth(d.getMonth() + 1);
+        } else {
+            d.setDate(d.getDate() + (period === 'week' ? 7 : 1));
+        }
+        return d;
+    }
+
+    /**
+     * Add a line's amount to a totals row
+     */
+    addToTotals(row, line) {
+        if (line.kind === 'pledge') {
+            row.pledges += line.amount;
+        } else {
+            row.sales += line.amount;
+        }
+        row.total += line.amount;
+        row.units += line.quantity;
+        row.orderIds.add(line.orderId);
+    }
+
+    /**
+     * Strip the working fields from a totals row
+     */
+    finishRow({ orderIds, ...row }) {
+        return {
+            ...row,
+            sales: Math.round(row.sales * 100) / 100,
+            pledges: Math.round(row.pledges * 100) / 100,
+            total: Math.round(row.total * 100) / 100,
+            orders: orderIds.size
+        };
+    }
+
+    /**
+     * Revenue per day, week or month, with empty periods filled in
+     */
+    getRevenueSeries(period = 'month', since = null) {
+        const lines = this.getOrderLines(since).filter(line => !line.refunded);
+        if (lines.length === 0) {
+            return [];
+        }
+
+        const buckets = new Map();
+        const newRow = key => ({ period: key, sales: 0, pledges: 0, total: 0, units: 0, orderIds: new Set() });
+
+        const first = since ? new Date(since) : new Date(Math.min(...lines.map(line => new Date(line.timestamp).getTime())));
+        const lastKey = this.getPeriodKey(new Date(), period);
+        for (let d = first; ; d = this.nextPeriod(d, period)) {
+            const key = this.getPeriodKey(d, period);
+            buckets.set(key, newRow(key));
+            if (key >= lastKey) {
+                break;
+            }
+        }
+
+        lines.forEach(line => {
+            const key = this.getPeriodKey(line.timestamp, period);
+            if (!buckets.has(key)) {
+                buckets.set(key, newRow(key));
+            }
+            this.addToTotals(buckets.get(key), line);
+        });
+
+        return [...buckets.values()]
+            .sort((a, b) => a.period.localeCompare(b.period))
+            .map(row => this.finishRow(row));
+    }
+
+    /**
+     * Revenue grouped by artist, genre or shipping country, largest first
+     */
+    getBreakdown(dimension = 'artist', since = null) {
+        const groups = new Map();
+        this.getOrderLines(since)
+            .filter(line => !line.refunded)
+            .forEach(line => {
+                const key = line[dimension] || 'Unknown';
+                if (!groups.has(key)) {
+                    groups.set(key, { [dimension]: key, sales: 0, pledges: 0, total: 0, units: 0, orderIds: new Set() });
+                }
+                this.addToTotals(groups.get(key), line);
+            });
+
+        return [...groups.values()]
+            .map(row => this.finishRow(row))
+            .sort((a, b) => b.total - a.total);
+    }
+
+    /**
+     * Totals for the whole range: realized sales, pledges and refunds
+     */
+    getSummary(since = null) {
+        const lines = this.getOrderLines(since);
+        const totals = { sales: 0, pledges: 0, total: 0, units: 0, orderIds: new Set() };
+        lines.filter(line => !line.refunded).forEach(line => this.addToTotals(totals, line));
+
+        return {
+            ...this.finishRow(totals),
+            refunded: Math.round(lines.filter(line => line.refunded).reduce((sum, line) => sum + line.amount, 0) * 100) / 100
+        };
+    }
+
+    /**
+     * Turn rows into CSV text (columns default to the keys of the first row)
+     */
+    toCSV(rows, columns = null) {
+        if (rows.length === 0) {
+            return '';
+        }
+
+        const keys = columns || Object.keys(rows[0]);
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [keys.join(','), ...rows.map(row => keys.map(key => escape(row[key])).join(','))].join('\n');
+    }
+
+    /**
+     * Download rows as a CSV file
+     */
+    downloadCSV(filename, rows, columns = null) {
+        const blob = new Blob([this.toCSV(rows, columns)], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+}
+
+// Global instance
+window.SalesReport = new SalesReport();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SalesReport;
+}
@@ -44,7 +44,8 @@ class ServerValidation {
                 required: true,
                 minLength: 10,
                 maxLength: 200,
-                pattern: /^[a-zA-Z0-9\s\.,\-'#\/]+$/,
+                // Letters of any alphabet, so accented street and city names (Forlì, Königstraße) pass
+                pattern: /^[\p{L}\p{M}\d\s.,'’\-#\/°ºª&]+$/u,
                 sanitize: true
             },
             iban: {
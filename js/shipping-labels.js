@@ -0,0 +1,385 @@
+/**
+ * Wax Encounters - Shipping Labels
+ * Buys the carrier label for an order from the shipping data saved with it at checkout (address,
+ * parcel and the service the customer chose) and keeps the label, tracking number and carrier on the order
+ * Labels come from the live provider configured in ShippingRates; with the fixed rate table there is
+ * no carrier account, so the admin enters the tracking number and prints an address label instead
+ * Tracking is read back from the carrier and moves orders on to shipped and delivered, and the
+ * customer is emailed when the parcel ships, goes out for delivery and arrives
+ */
+
+class ShippingLabels {
+    constructor() {
+        this.trackingLabels = {
+            label_created: 'Label created',
+            in_transit: 'In transit',
+            out_for_delivery: 'Out for delivery',
+            delivered: 'Delivered',
+            exception: 'Delivery problem',
+            unknown: 'No update yet'
+        };
+        // Orders in these states can have their label made
+        this.labelStatuses = ['paid', 'awaiting_pressing', 'packed'];
+        // Public tracking pages for labels that did not come with a tracking link
+        this.trackingUrls = {
+            dhl: 'https://www.dhl.com/it-en/home/tracking.html?tracking-id={number}',
+            ups: 'https://www.ups.com/track?tracknum={number}',
+            fedex: 'https://www.fedex.com/fedextrack/?trknbr={number}',
+            posteitaliane: 'https://www.poste.it/cerca/index.html#/risultati-spedizioni/{number}',
+            royalmail: 'https://www.royalmail.com/track-your-item#/tracking-results/{number}',
+            usps: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={number}',
+            brt: 'https://vas.brt.it/vas/sped_det_show.hsm?Nspediz={number}'
+        };
+    }
+
+    /**
+     * Whether labels can be bought from the configured provider
+     */
+    canBuyLabels() {
+        return typeof window.ShippingRates.provider.buyLabel === 'function';
+    }
+
+    /**
+     * Whether an order is waiting for its label
+     */
+    needsLabel(order) {
+        return !order.label && this.labelStatuses.includes(window.OrderLifecycle.getStatus(order));
+    }
+
+    /**
+     * Label text for a tracking status
+     */
+    getTrackingLabel(status) {
+        return this.trackingLabels[status] || this.trackingLabels.unknown;
+    }
+
+    /**
+     * Where the customer can follow a parcel: the carrier's link, or its public tracking page
+     */
+    getTrackingUrl(label) {
+        if (!label || !label.trackingNumber) {
+            return null;
+        }
+        if (label.trackingUrl) {
+            return label.trackingUrl;
+        }
+        const template = this.trackingUrls[String(label.carrier || '').toLowerCase().replace(/[^a-z]/g, '')];
+        return template ? template.replace('{number}', encodeURIComponent(label.trackingNumber)) : null;
+    }
+
+    /**
+     * Addresses and parcel for an order's label. Orders saved before the parcel was kept
+     * get the parcel for their number of records
+     */
+    getRequest(order) {
+        return {
+            recipient: order.recipient,
+            parcel: order.parcel || window.ShippingRates.getParcel(order.quantity || 1),
+            origin: window.ShippingRates.origin,
+            contentValue: order.amount || 0
+        };
+    }
+
+    /**
+     * Buy (or, with manual details { carrier, trackingNumber, trackingUrl }, record) the label for an order.
+     * The order is marked packed if it was not already
+     */
+    async createLabel(orderId, manual = null) {
+        const order = window.PurchaseTracker.getOrders().find(o => o.id === orderId);
+        if (!order) {
+            return { success: false, error: 'Order not found' };
+        }
+        if (order.label) {
+            return { success: false, error: `Order ${orderId} already has a label (${order.label.carrier} ${order.label.trackingNumber || ''})` };
+        }
+        if (!this.needsLabel(order)) {
+            return { success: false, error: `An order that is ${window.OrderLifecycle.getLabel(window.OrderLifecycle.getStatus(order)).toLowerCase()} cannot get a label` };
+        }
+        const recipient = order.recipient || {};
+        if (!recipient.address1 || !recipient.postalCode || !recipient.country) {
+            return { success: false, error: `Order ${orderId} has no complete shipping address` };
+        }
+
+        let label;
+        if (manual) {
+            if (!manual.carrier || !manual.trackingNumber) {
+                return { success: false, error: 'Enter the carrier and the tracking number' };
+            }
+            label = {
+                provider: 'manual',
+                shipmentId: null,
+                carrier: manual.carrier.trim(),
+                service: order.shipping ? order.shipping.serviceName : null,
+                cost: null,
+                trackingNumber: manual.trackingNumber.trim(),
+                labelUrl: null,
+                trackingUrl: manual.trackingUrl || null,
+                trackerId: null
+            };
+        } else {
+            if (!this.canBuyLabels()) {
+                return { success: false, error: 'Labels cannot be bought with the fixed rate table; enter the carrier and tracking number instead' };
+            }
+            const provider = window.ShippingRates.provider;
+            try {
+                label = { provider: provider.name, ...(await provider.buyLabel(this.getRequest(order), order.shipping)) };
+            } catch (error) {
+                console.error(`Label for ${orderId} failed:`, error);
+                return { success: false, error: error.message };
+            }
+        }
+
+        // Saved on the latest copy of the order in case it changed while the carrier answered
+        const orders = window.PurchaseTracker.getOrders();
+        const current = orders.find(o => o.id === orderId);
+        const purchasedAt = new Date().toISOString();
+        current.label = { ...label, purchasedAt: purchasedAt };
+        current.trackingNumber = label.trackingNumber;
+        current.shipmentId = label.shipmentId;
+        current.carrier = label.carrier;
+        current.tracking = { status: 'label_created', estimatedDelivery: null, events: [], updatedAt: purchasedAt };
+        if (window.OrderLifecycle.getStatus(current) !== 'packed') {
+            window.OrderLifecycle.applyTransition(current, 'packed', { actor: 'admin', note: `Label ${label.carrier} ${label.trackingNumber || ''}`.trim() });
+        }
+        window.PurchaseTracker.saveOrders(orders);
+        window.PurchaseTracker.notifyDashboardUpdate();
+        return { success: true, order: current };
+    }
+
+    /**
+     * Orders of a record (a pressing run for pre-orders) still waiting for their label
+     */
+    getRunOrders(recordId) {
+        return window.PurchaseTracker.getOrders()
+            .filter(order => this.needsLabel(order))
+            .filter(order => window.PurchaseTracker.getOrderLines(order).some(line => line.recordId === recordId && !line.refunded))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Records with orders waiting for labels, and how many
+     */
+    getPendingRuns() {
+        const runs = new Map();
+        window.PurchaseTracker.getOrders().filter(order => this.needsLabel(order)).forEach(order => {
+            new Set(window.PurchaseTracker.getOrderLines(order).filter(line => !line.refunded).map(line => line.recordId)).forEach(recordId => {
+                runs.set(recordId, (runs.get(recordId) || 0) + 1);
+            });
+        });
+        return [...runs.entries()].map(([recordId, count]) => ({
+            recordId: recordId,
+            record: window.PurchaseTracker.getRecord(recordId) || null,
+            count: count
+        }));
+    }
+
+    /**
+     * Buy labels for every order of a pressing run, one after another. Failures are
+     * reported per order and do not stop the rest
+     */
+    async createRunLabels(recordId) {
+        const created = [];
+        const failed = [];
+        for (const order of this.getRunOrders(recordId)) {
+            const result = await this.createLabel(order.id);
+            if (result.success) {
+                created.push(result.order);
+            } else {
+                failed.push({ orderId: order.id, error: result.error });
+            }
+        }
+        return { success: failed.length === 0, created: created, failed: failed };
+    }
+
+    /**
+     * Orders that have a label, newest label first
+     */
+    getShipments() {
+        return window.PurchaseTracker.getOrders()
+            .filter(order => order.label)
+            .sort((a, b) => new Date(b.label.purchasedAt) - new Date(a.label.purchasedAt));
+    }
+
+    /**
+     * Ask the carrier where an order's parcel is. A parcel on its way marks the order shipped,
+     * a delivered one marks it delivered
+     */
+    async refreshTracking(orderId) {
+        const order = window.PurchaseTracker.getOrders().find(o => o.id === orderId);
+        if (!order || !order.label) {
+            return { success: false, error: 'Order has no label' };
+        }
+        const provider = window.ShippingRates.provider;
+        if (order.label.provider === 'manual') {
+            return { success: false, error: 'Tracking for labels entered by hand is followed on the carrier\'s site' };
+        }
+        if (order.label.provider !== provider.name || typeof provider.getTracking !== 'function') {
+            return { success: false, error: `This label was bought through ${order.label.provider}, which is no longer the configured provider` };
+        }
+
+        let tracking;
+        try {
+            tracking = await provider.getTracking(order.label);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        const orders = window.PurchaseTracker.getOrders();
+        const current = orders.find(o => o.id === orderId);
+        const previous = current.tracking ? current.tracking.status : null;
+        current.tracking = { ...tracking, updatedAt: new Date().toISOString() };
+
+        const details = { actor: 'carrier', note: `${current.label.carrier} ${current.label.trackingNumber}` };
+        if (['in_transit', 'out_for_delivery', 'delivered'].includes(tracking.status) && window.OrderLifecycle.getStatus(current) === 'packed') {
+            window.OrderLifecycle.applyTransition(current, 'shipped', details);
+        }
+        if (tracking.status === 'delivered' && window.OrderLifecycle.getStatus(current) === 'shipped') {
+            window.OrderLifecycle.applyTransition(current, 'delivered', details);
+        }
+        window.PurchaseTracker.saveOrders(orders);
+        window.PurchaseTracker.notifyDashboardUpdate();
+
+        // One email for where the parcel is now, even if it went through several steps since the last check
+        const stage = tracking.status === 'delivered' ? 'delivered' :
+            tracking.status === 'out_for_delivery' ? 'out_for_delivery' :
+            window.OrderLifecycle.getStatus(current) === 'shipped' ? 'shipped' : null;
+        if (stage) {
+            await this.notifyCustomer(orderId, stage);
+        }
+        return { success: true, order: current, changed: previous !== tracking.status };
+    }
+
+    /**
+     * Email the customer that their order has shipped, is out for delivery or was delivered.
+     * Each is sent once per order
+     */
+    async notifyCustomer(orderId, stage) {
+        const order = window.PurchaseTracker.getOrders().find(o => o.id === orderId);
+        if (!order || (order.shippingNotifications || {})[stage]) {
+            return false;
+        }
+        const email = window.PurchaseTracker.getOrderEmail(order);
+        if (!email || !window.EmailService) {
+            return false;
+        }
+
+        const label = order.label || {};
+        const to = order.recipient || {};
+        const result = await window.EmailService.sendShippingUpdate(email, order.customerName, {
+            stage: stage,
+            orderNumber: order.id,
+            items: window.PurchaseTracker.getOrderLines(order).filter(line => !line.refunded).map(line => `${line.quantity || 1} × ${line.recordTitle}`),
+            carrier: label.carrier || null,
+            service: label.service || null,
+            trackingNumber: label.trackingNumber || null,
+            trackingUrl: this.getTrackingUrl(label),
+            estimatedDelivery: order.tracking ? order.tracking.estimatedDelivery : null,
+            address: [to.address1, `${to.postalCode || ''} ${to.city || ''}`.trim(), to.country].filter(Boolean).join(', ')
+        });
+        if (!result.success) {
+            return false;
+        }
+
+        const orders = window.PurchaseTracker.getOrders();
+        const current = orders.find(o => o.id === orderId);
+        current.shippingNotifications = { ...(current.shippingNotifications || {}), [stage]: new Date().toISOString() };
+        window.PurchaseTracker.saveOrders(orders);
+        return true;
+    }
+
+    /**
+     * Refresh tracking for every parcel not yet delivered
+     */
+    async refreshAllTracking() {
+        const provider = window.ShippingRates.provider.name;
+        const open = this.getShipments().filter(order =>
+            order.label.provider === provider && ['packed', 'shipped'].includes(window.OrderLifecycle.getStatus(order)));
+        let updated = 0;
+        const failed = [];
+        for (const order of open) {
+            const result = await this.refreshTracking(order.id);
+            if (result.success) {
+                updated += result.changed ? 1 : 0;
+            } else {
+                failed.push({ orderId: order.id, error: result.error });
+            }
+        }
+        return { checked: open.length, updated: updated, failed: failed };
+    }
+
+    /**
+     * Printable address label for a parcel shipped without a carrier label
+     */
+    getAddressLabelHtml(order) {
+        const escape = value => window.Invoices.escape(value);
+        const from = window.ShippingRates.origin;
+        const to = order.recipient || {};
+        const lines = [
+            `${to.firstName || ''} ${to.lastName || ''}`.trim(),
+            to.address1,
+            to.address2,
+            [to.postalCode, to.city, to.state].filter(Boolean).join(' '),
+            to.country
+        ].filter(Boolean);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Label ${escape(order.id)} - Wax Encounters</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #000; margin: 0; padding: 30px; }
+        .label { width: 4in; min-height: 6in; border: 2px solid #000; padding: 16px; box-sizing: border-box; }
+        .from { font-size: 11px; border-bottom: 1px solid #000; padding-bottom: 8px; }
+        .to { font-size: 18px; line-height: 1.4; margin: 30px 0; }
+        .tracking { border-top: 1px solid #000; padding-top: 8px; font-size: 13px; }
+        .tracking strong { font-size: 16px; letter-spacing: 1px; }
+        .print-button { background: #8b5cf6; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; margin-bottom: 20px; }
+        @media print { body { padding: 0; } .print-button { display: none; } }
+    </style>
+</head>
+<body>
+    <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+    <div class="label">
+        <div class="from">FROM: ${escape(from.company)}, ${escape(from.address1)}, ${escape(from.postalCode)} ${escape(from.city)}, ${escape(from.country)} • ${escape(from.phone)}</div>
+        <div class="to">TO:<br>${lines.map(escape).join('<br>')}</div>
+        <div class="tracking">
+            <div>${escape(order.label.carrier)}${order.label.service ? ' • ' + escape(order.label.service) : ''}</div>
+            <strong>${escape(order.label.trackingNumber)}</strong>
+            <div>Order ${escape(order.id)}</div>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Open an order's label: the carrier's PDF, or a printable address label
+     */
+    openLabel(orderId) {
+        const order = window.PurchaseTracker.getOrders().find(o => o.id === orderId);
+        if (!order || !order.label) {
+            return { success: false, error: 'Order has no label' };
+        }
+        if (order.label.labelUrl) {
+            window.open(order.label.labelUrl, '_blank');
+            return { success: true };
+        }
+        const labelWindow = window.open('', '_blank');
+        if (!labelWindow) {
+            return { success: false, error: 'Allow pop-ups to print the label' };
+        }
+        labelWindow.document.open();
+        labelWindow.document.write(this.getAddressLabelHtml(order));
+        labelWindow.document.close();
+        return { success: true };
+    }
+}
+
+// Global instance
+window.ShippingLabels = new ShippingLabels();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShippingLabels;
+}
@@ -0,0 +1,687 @@
+/**
+ * Wax Encounters - Shipping Rates
+ * Carrier rates for a parcel going to an address, from one of three providers:
+ * EasyPost, Packlink or the shop's own rate table, which the admin edits on the dashboard
+ * A live provider that is slow, down or returns nothing falls back to the rate table, and
+ * live rates are cached per address and parcel so recalculating does not call the carrier again
+ * Free shipping thresholds per zone apply whichever provider priced the parcel
+ * The live providers also buy labels and report tracking, for js/shipping-labels.js
+ *
+ * Select a provider with ShippingRates.setProvider({ type: 'easypost', url: 'http://localhost:3004' }),
+ * kept in the shared 'shippingProvider' collection so every checkout uses it. The default 'fixed'
+ * provider needs no network; the live ones go through server/carrier-proxy.js at url, which holds
+ * the carrier API keys. server/shipping-server.js answers the carrier routes locally for testing
+ */
+
+/**
+ * Provider that prices parcels from the shop's own rate table (ShippingRates.getRules): zones of
+ * countries, each with services priced per weight band. Countries not in any zone use the zone listing '*'
+ */
+class FixedRateProvider {
+    constructor(options = {}) {
+        this.name = 'fixed';
+        this.getRules = options.getRules;
+        this.recordWeightKg = options.recordWeightKg || 0.8;
+    }
+
+    /**
+     * Zone a country ships in
+     */
+    getZone(country) {
+        const zones = this.getRules().zones;
+        return zones.find(zone => zone.countries.includes(country)) ||
+            zones.find(zone => zone.countries.includes('*')) || null;
+    }
+
+    async getRates({ recipient, parcel }) {
+        const rules = this.getRules();
+        const zone = this.getZone(recipient.country);
+        // Bands are counted in records; a parcel fits the first band whose records weigh at least as much
+        const band = rules.bands.findIndex(records => parcel.weightKg <= records * this.recordWeightKg + 0.001);
+        if (!zone || band === -1) {
+            return [];
+        }
+        return zone.services
+            .filter(service => service.costs[band] !== null && service.costs[band] !== undefined)
+            .map(service => ({
+                id: `fixed_${zone.id}_${service.id}`,
+                carrier: service.carrier,
+                service: service.service,
+                cost: service.costs[band],
+                days: service.days
+            }));
+    }
+}
+
+/**
+ * Shared request handling for the carrier APIs: JSON over fetch with a timeout, through the
+ * carrier proxy, which adds the API key
+ */
+class HttpRateProvider {
+    constructor(options = {}, carrier) {
+        this.baseUrl = `${(options.url || 'http://localhost:3004').replace(/\/$/, '')}/${carrier}`;
+        this.timeout = options.timeout || 8000;
+    }
+
+    /**
+     * Perform a request; anything but a 2xx answer is an error
+     */
+    async request(method, path, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`${this.name} responded with ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`${this.name} did not answer within ${this.timeout / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Carrier prices may come in another currency; the shop charges in euros
+     */
+    toEur(amount, currency) {
+        const value = Number(amount);
+        if (!currency || currency.toUpperCase() === 'EUR' || !window.Currency) {
+            return value;
+        }
+        return window.Currency.toEur(value, currency.toUpperCase());
+    }
+}
+
+/**
+ * EasyPost: a shipment is created for the addresses and parcel and comes back with its rates;
+ * buying one of them gives the label and a tracker. EasyPost measures parcels in inches and ounces
+ */
+class EasyPostRateProvider extends HttpRateProvider {
+    constructor(options = {}) {
+        super(options, 'easypost');
+        this.name = 'easypost';
+        // EasyPost tracker statuses in the shop's terms
+        this.trackingStatuses = {
+            pre_transit: 'label_created',
+            in_transit: 'in_transit',
+            out_for_delivery: 'out_for_delivery',
+            delivered: 'delivered',
+            available_for_pickup: 'out_for_delivery',
+            return_to_sender: 'exception',
+            failure: 'exception',
+            cancelled: 'exception',
+            error: 'exception'
+        };
+    }
+
+    /**
+     * Create a shipment (with its rates) for the addresses and parcel
+     */
+    createShipment({ recipient, parcel, origin }) {
+        return this.request('POST', '/v2/shipments', {
+            shipment: {
+                to_address: {
+                    name: `${recipient.firstName} ${recipient.lastName}`.trim(),
+                    street1: recipient.address1,
+                    street2: recipient.address2 || '',
+                    city: recipient.city,
+                    state: recipient.state,
+                    zip: recipient.postalCode,
+                    country: recipient.country
+                },
+                from_address: {
+                    company: origin.company,
+                    street1: origin.address1,
+                    city: origin.city,
+                    zip: origin.postalCode,
+                    country: origin.country,
+                    phone: origin.phone
+                },
+                parcel: {
+                    length: Math.round(parcel.lengthCm / 2.54 * 10) / 10,
+                    width: Math.round(parcel.widthCm / 2.54 * 10) / 10,
+                    height: Math.round(parcel.heightCm / 2.54 * 10) / 10,
+                    weight: Math.round(parcel.weightKg * 35.274 * 10) / 10
+                },
+                options: { label_format: 'PDF' }
+            }
+        });
+    }
+
+    async getRates(request) {
+        const data = await this.createShipment(request);
+        return (data.rates || []).map(rate => ({
+            id: rate.id,
+            carrier: rate.carrier,
+            service: rate.service,
+            cost: this.toEur(rate.rate, rate.currency),
+            days: rate.delivery_days ? `${rate.delivery_days} business days` : 'Varies',
+            shipmentId: data.id
+        }));
+    }
+
+    /**
+     * Buy the label for the service the customer chose. Rates expire, so a fresh shipment is
+     * created and the same service picked from it (or the carrier's cheapest, or the cheapest)
+     */
+    async buyLabel(request, selection) {
+        const shipment = await this.createShipment(request);
+        const rates = (shipment.rates || []).slice().sort((a, b) => Number(a.rate) - Number(b.rate));
+        const rate = (selection && rates.find(r => r.carrier === selection.carrier && r.service === selection.serviceName)) ||
+            (selection && rates.find(r => r.carrier === selection.carrier)) || rates[0];
+        if (!rate) {
+            throw new Error('EasyPost offered no service for this parcel');
+        }
+
+        const bought = await this.request('POST', `/v2/shipments/${shipment.id}/buy`, { rate: { id: rate.id } });
+        return {
+            shipmentId: bought.id,
+            carrier: bought.selected_rate.carrier,
+            service: bought.selected_rate.service,
+            cost: this.toEur(bought.selected_rate.rate, bought.selected_rate.currency),
+            trackingNumber: bought.tracking_code,
+            labelUrl: bought.postage_label.label_pdf_url || bought.postage_label.label_url,
+            trackingUrl: bought.tracker ? bought.tracker.public_url : null,
+            trackerId: bought.tracker ? bought.tracker.id : null
+        };
+    }
+
+    /**
+     * Where a parcel is: { status, estimatedDelivery, events }
+     */
+    async getTracking(label) {
+        const tracker = await this.request('GET', `/v2/trackers/${label.trackerId}`);
+        return {
+            status: this.trackingStatuses[tracker.status] || 'unknown',
+            estimatedDelivery: tracker.est_delivery_date || null,
+            events: (tracker.tracking_details || []).map(detail => ({
+                at: detail.datetime,
+                status: this.trackingStatuses[detail.status] || 'unknown',
+                message: detail.message,
+                location: detail.tracking_location ? [detail.tracking_location.city, detail.tracking_location.country].filter(Boolean).join(', ') : ''
+            }))
+        };
+    }
+}
+
+/**
+ * Packlink PRO: services between two postcodes for a list of packages (cm and kg); a shipment
+ * booked on a service gets the carrier's label and tracking code
+ */
+class PacklinkRateProvider extends HttpRateProvider {
+    constructor(options = {}) {
+        super(options, 'packlink');
+        this.name = 'packlink';
+        // Packlink shipment states in the shop's terms
+        this.trackingStatuses = {
+            READY_TO_PRINT: 'label_created',
+            READY_FOR_COLLECTION: 'label_created',
+            IN_TRANSIT: 'in_transit',
+            OUT_FOR_DELIVERY: 'out_for_delivery',
+            DELIVERED: 'delivered',
+            INCIDENT: 'exception',
+            RETURNED_TO_SENDER: 'exception'
+        };
+    }
+
+    async getRates({ recipient, parcel, origin }) {
+        const query = new URLSearchParams({
+            'from[country]': origin.country,
+            'from[zip]': origin.postalCode,
+            'to[country]': recipient.country,
+            'to[zip]': recipient.postalCode,
+            'packages[0][width]': parcel.widthCm,
+            'packages[0][height]': parcel.heightCm,
+            'packages[0][length]': parcel.lengthCm,
+            'packages[0][weight]': parcel.weightKg
+        });
+        const services = await this.request('GET', `/v1/services?${query}`);
+
+        return (Array.isArray(services) ? services : []).map(service => ({
+            id: `packlink_${service.id}`,
+            carrier: service.carrier_name,
+            service: service.name,
+            cost: this.toEur(service.price.total_price, service.price.currency),
+            days: service.transit_hours ? `${Math.ceil(Number(service.transit_hours) / 24)} business days` : (service.transit_time || 'Varies'),
+            serviceId: service.id
+        }));
+    }
+
+    /**
+     * Book the service the customer chose (looked up again when the order was priced elsewhere)
+     * and fetch its label
+     */
+    async buyLabel(request, selection) {
+        let serviceId = selection && selection.provider === this.name ? selection.providerServiceId : null;
+        if (!serviceId) {
+            const rates = (await this.getRates(request)).sort((a, b) => a.cost - b.cost);
+            const rate = (selection && rates.find(r => r.carrier === selection.carrier)) || rates[0];
+            if (!rate) {
+                throw new Error('Packlink offered no service for this parcel');
+            }
+            serviceId = rate.serviceId;
+        }
+
+        const { recipient, parcel, origin } = request;
+        const created = await this.request('POST', '/v1/shipments', {
+            service_id: serviceId,
+            from: { name: origin.company, street1: origin.address1, city: origin.city, zip_code: origin.postalCode, country: origin.country, phone: origin.phone },
+            to: {
+                name: recipient.firstName,
+                surname: recipient.lastName,
+                street1: [recipient.address1, recipient.address2].filter(Boolean).join(', '),
+                city: recipient.city,
+                state: recipient.state,
+                zip_code: recipient.postalCode,
+                country: recipient.country
+            },
+            packages: [{ width: parcel.widthCm, height: parcel.heightCm, length: parcel.lengthCm, weight: parcel.weightKg }],
+            content: 'Vinyl records',
+            contentvalue: request.contentValue || 0
+        });
+
+        const shipment = await this.request('GET', `/v1/shipments/${created.reference}`);
+        const labels = await this.request('GET', `/v1/shipments/${created.reference}/labels`);
+        return {
+            shipmentId: created.reference,
+            carrier: shipment.carrier,
+            service: shipment.service,
+            cost: shipment.price ? this.toEur(shipment.price.total_price, shipment.price.currency) : null,
+            trackingNumber: (shipment.tracking_codes || [])[0] || null,
+            labelUrl: labels[0] || null,
+            trackingUrl: shipment.tracking_url || null,
+            trackerId: created.reference
+        };
+    }
+
+    /**
+     * Where a parcel is: { status, estimatedDelivery, events }
+     */
+    async getTracking(label) {
+        const shipment = await this.request('GET', `/v1/shipments/${label.trackerId}`);
+        const track = await this.request('GET', `/v1/shipments/${label.trackerId}/track`);
+        return {
+            status: this.trackingStatuses[shipment.state] || 'unknown',
+            estimatedDelivery: shipment.estimated_delivery_date || null,
+            events: (track.history || []).map(event => ({
+                // Packlink sends event times as Unix seconds
+                at: typeof event.created_at === 'number' ? new Date(event.created_at * 1000).toISOString() : event.created_at,
+                status: this.trackingStatuses[event.state] || 'unknown',
+                message: event.description,
+                location: event.city || ''
+            }))
+        };
+    }
+}
+
+class ShippingRates {
+    constructor() {
+        this.configKey = 'shippingProvider';
+        this.rulesKey = 'shippingRules';
+        this.recordWeightKg = 0.8;
+        this.cacheMinutes = 15;
+        this.cache = new Map();
+        // Where parcels ship from
+        this.origin = {
+            company: 'Wax Encounters',
+            address1: 'via Monte Sabotino 10',
+            city: 'Bovisio Masciago',
+            postalCode: '20813',
+            country: 'IT',
+            phone: '3474211714'
+        };
+        // Rate table used until the admin saves their own. bands are the most records a parcel
+        // holds for each price column; costs are in euros, null where a service is not offered
+        this.defaultRules = {
+            bands: [1, 3, 6, 12, 25],
+            zones: [
+                {
+                    id: 'domestic',
+                    name: 'Italy',
+                    countries: ['IT'],
+                    freeShippingThreshold: null,
+                    services: [
+                        { id: 'standard', carrier: 'Poste Italiane', service: 'Poste Italiane Standard', days: '5-7 business days', costs: [7.99, 9.99, 12.99, 17.99, 24.99] },
+                        { id: 'express', carrier: 'DHL', service: 'DHL Express', days: '2-3 business days', costs: [16.99, 19.99, 24.99, 32.99, 44.99] }
+                    ]
+                },
+                {
+                    id: 'eu',
+                    name: 'European Union',
+                    countries: ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'],
+                    freeShippingThreshold: null,
+                    services: [
+                        { id: 'standard', carrier: 'DHL', service: 'DHL Standard', days: '3-5 business days', costs: [9.99, 12.99, 16.99, 23.99, 34.99] },
+                        { id: 'express', carrier: 'DHL', service: 'DHL Express', days: '1-2 business days', costs: [18.99, 22.99, 28.99, 38.99, 54.99] }
+                    ]
+                },
+                {
+                    id: 'uk',
+                    name: 'United Kingdom',
+                    countries: ['GB'],
+                    freeShippingThreshold: null,
+                    services: [
+                        { id: 'standard', carrier: 'Royal Mail', service: 'Royal Mail International', days: '5-7 business days', costs: [8.99, 11.99, 15.99, 22.99, 32.99] },
+                        { id: 'express', carrier: 'DHL', service: 'DHL Express', days: '2-3 business days', costs: [19.99, 24.99, 31.99, 44.99, 64.99] }
+                    ]
+                },
+                {
+                    id: 'north_america',
+                    name: 'United States & Canada',
+                    countries: ['US', 'CA'],
+                    freeShippingThreshold: null,
+                    services: [
+                        { id: 'standard', carrier: 'Poste Italiane', service: 'Poste Italiane International', days: '7-12 business days', costs: [22.99, 29.99, 42.99, 64.99, 99.99] },
+                        { id: 'express', carrier: 'FedEx', service: 'FedEx International Priority', days: '2-4 business days', costs: [39.99, 49.99, 69.99, 99.99, 149.99] }
+                    ]
+                },
+                {
+                    id: 'world',
+                    name: 'Rest of the world',
+                    countries: ['*'],
+                    freeShippingThreshold: null,
+                    services: [
+                        { id: 'standard', carrier: 'Poste Italiane', service: 'Poste Italiane International', days: '10-20 business days', costs: [27.99, 36.99, 52.99, 79.99, 119.99] }
+                    ]
+                }
+            ]
+        };
+        this.fallback = new FixedRateProvider({ getRules: () => this.getRules(), recordWeightKg: this.recordWeightKg });
+        this.provider = this.createProvider(this.getConfig());
+
+        // Older versions kept the provider, with its API key, in this browser
+        localStorage.removeItem('shippingRates');
+
+        // Follow provider changes made by the admin once they reach this browser
+        window.addEventListener('dataStoreSync', (event) => {
+            if (event.detail.keys.includes(this.configKey)) {
+                this.provider = this.createProvider(this.getConfig());
+                this.cache.clear();
+            }
+        });
+    }
+
+    /**
+     * Read the provider configuration ({ type: 'fixed' | 'easypost' | 'packlink', url, timeout })
+     */
+    getConfig() {
+        return window.DataStore.get(this.configKey, null) || { type: 'fixed' };
+    }
+
+    /**
+     * Build the provider for a configuration
+     */
+    createProvider(config) {
+        switch (config.type) {
+            case 'easypost':
+                return new EasyPostRateProvider(config);
+            case 'packlink':
+                return new PacklinkRateProvider(config);
+            default:
+                return this.fallback;
+        }
+    }
+
+    /**
+     * Switch to another provider (cached rates from the old one are dropped)
+     * API keys belong on the carrier proxy and are refused here
+     */
+    setProvider(config) {
+        if (config.apiKey) {
+            return { success: false, error: 'Carrier API keys are set on the carrier proxy (server/carrier-proxy.js), not in the browser' };
+        }
+
+        const stored = { type: config.type, url: config.url, timeout: config.timeout };
+        window.DataStore.set(this.configKey, stored);
+        this.provider = this.createProvider(stored);
+        this.cache.clear();
+        return { success: true, message: `Shipping rates now come from ${this.provider.name}` };
+    }
+
+    /**
+     * The shop's rate table ({ bands, zones, updatedAt }), as saved by the admin or the defaults
+     */
+    getRules() {
+        const stored = window.DataStore.get(this.rulesKey, null);
+        return stored || { ...JSON.parse(JSON.stringify(this.defaultRules)), updatedAt: null };
+    }
+
+    /**
+     * Check a rate table; returns the first problem found, or null
+     */
+    validateRules(rules) {
+        if (!rules || !Array.isArray(rules.bands) || !Array.isArray(rules.zones)) {
+            return 'The rate table needs "bands" and "zones" lists';
+        }
+        if (rules.bands.length === 0 || rules.bands.some((records, i) => !Number.isInteger(records) || records < 1 || (i > 0 && records <= rules.bands[i - 1]))) {
+            return 'Weight bands must be whole record counts, each larger than the one before';
+        }
+        if (rules.zones.length === 0) {
+            return 'Add at least one shipping zone';
+        }
+
+        const seen = {};
+        for (const zone of rules.zones) {
+            if (!zone.name || !String(zone.name).trim()) {
+                return 'Every zone needs a name';
+            }
+            if (!Array.isArray(zone.countries) || zone.countries.length === 0) {
+                return `Add at least one country to ${zone.name}`;
+            }
+            for (const country of zone.countries) {
+                if (country !== '*' && !/^[A-Z]{2}$/.test(country)) {
+                    return `"${country}" in ${zone.name} is not a two-letter country code`;
+                }
+                if (seen[country]) {
+                    return `${country === '*' ? 'The rest of the world (*)' : country} is in both ${seen[country]} and ${zone.name}`;
+                }
+                seen[country] = zone.name;
+            }
+            if (zone.freeShippingThreshold !== null && zone.freeShippingThreshold !== undefined && !(Number(zone.freeShippingThreshold) > 0)) {
+                return `The free shipping threshold for ${zone.name} must be above 0 (leave it empty for none)`;
+            }
+            if (!Array.isArray(zone.services) || zone.services.length === 0) {
+                return `Add at least one service to ${zone.name}`;
+            }
+            for (const service of zone.services) {
+                if (!service.carrier || !service.service || !service.days) {
+                    return `Every service in ${zone.name} needs a carrier, a name and a delivery estimate`;
+                }
+                if (!Array.isArray(service.costs) || service.costs.length !== rules.bands.length) {
+                    return `${service.service} in ${zone.name} needs a cost for each of the ${rules.bands.length} weight bands`;
+                }
+                if (service.costs.some(cost => cost !== null && !(Number(cost) >= 0))) {
+                    return `Costs for ${service.service} in ${zone.name} must be 0 or more (empty where not offered)`;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Replace the rate table. Zones and services without an id get one
+     */
+    saveRules(rules) {
+        const error = this.validateRules(rules);
+        if (error) {
+            return { success: false, error: error };
+        }
+
+        const slug = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        const cleaned = {
+            bands: rules.bands.slice(),
+            zones: rules.zones.map(zone => ({
+                id: zone.id || slug(zone.name),
+                name: String(zone.name).trim(),
+                countries: zone.countries.slice(),
+                freeShippingThreshold: zone.freeShippingThreshold ? Number(zone.freeShippingThreshold) : null,
+                services: zone.services.map(service => ({
+                    id: service.id || slug(service.service),
+                    carrier: String(service.carrier).trim(),
+                    service: String(service.service).trim(),
+                    days: String(service.days).trim(),
+                    costs: service.costs.map(cost => cost === null ? null : Math.round(Number(cost) * 100) / 100)
+                }))
+            })),
+            updatedAt: new Date().toISOString()
+        };
+        window.DataStore.set(this.rulesKey, cleaned);
+        return { success: true, rules: cleaned };
+    }
+
+    /**
+     * Rate table as JSON, for download
+     */
+    exportRules() {
+        const { bands, zones } = this.getRules();
+        return JSON.stringify({ bands, zones }, null, 2);
+    }
+
+    /**
+     * Replace the rate table with one exported earlier
+     */
+    importRules(json) {
+        let rules;
+        try {
+            rules = JSON.parse(json);
+        } catch (error) {
+            return { success: false, error: 'The file is not valid JSON' };
+        }
+        return this.saveRules(rules);
+    }
+
+    /**
+     * Go back to the default rate table
+     */
+    resetRules() {
+        return this.saveRules(this.defaultRules);
+    }
+
+    /**
+     * Order value (in euros) from which a country ships free, or null
+     */
+    getFreeShippingThreshold(country) {
+        const zone = this.fallback.getZone(country);
+        return zone ? zone.freeShippingThreshold || null : null;
+    }
+
+    /**
+     * Parcel for a number of records: 33 cm mailers at 0.8 kg per record, taller boxes for bigger orders
+     */
+    getParcel(quantity = 1) {
+        return {
+            lengthCm: 33,
+            widthCm: 33,
+            heightCm: quantity > 10 ? 15 : (quantity > 5 ? 7 : 3.5),
+            weightKg: Math.round(Math.max(this.recordWeightKg * quantity, this.recordWeightKg) * 100) / 100
+        };
+    }
+
+    /**
+     * Cache key for a provider, address and parcel
+     */
+    getCacheKey(recipient, parcel) {
+        const address = ['country', 'postalCode', 'state', 'city', 'address1', 'address2']
+            .map(field => String(recipient[field] || '').trim().toUpperCase());
+        return [this.provider.name, ...address, parcel.lengthCm, parcel.widthCm, parcel.heightCm, parcel.weightKg].join('|');
+    }
+
+    /**
+     * Rates for sending a parcel to an address, cheapest first. When subtotal (the order value in euros)
+     * reaches the zone's free shipping threshold the cheapest service is free. Resolves with
+     * { success, rates, provider, fallback, cached } or { success: false, error }
+     */
+    async getRates(recipient, parcel, subtotal = 0) {
+        const result = await this.lookupRates(recipient, parcel);
+        if (!result.success) {
+            return result;
+        }
+        return { ...result, rates: this.applyFreeShipping(result.rates, recipient.country, subtotal) };
+    }
+
+    /**
+     * Ask the provider (or the cache) for rates, falling back to the rate table
+     */
+    async lookupRates(recipient, parcel) {
+        const key = this.getCacheKey(recipient, parcel);
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return { ...cached.result, cached: true };
+        }
+
+        const request = { recipient: recipient, parcel: parcel, origin: this.origin };
+        try {
+            const rates = this.normalise(await this.provider.getRates(request), this.provider.name);
+            if (rates.length > 0) {
+                const result = { success: true, rates: rates, provider: this.provider.name, fallback: false };
+                // The rate table is read fresh every time so the admin's changes show straight away
+                if (this.provider !== this.fallback) {
+                    this.cache.set(key, { result: result, expiresAt: Date.now() + this.cacheMinutes * 60 * 1000 });
+                }
+                return { ...result, cached: false };
+            }
+            if (this.provider === this.fallback) {
+                return { success: false, error: 'No shipping service is available for this address and parcel size.' };
+            }
+            console.warn(`${this.provider.name} returned no rates, using the fixed rate table`);
+        } catch (error) {
+            if (this.provider === this.fallback) {
+                return { success: false, error: error.message };
+            }
+            console.warn(`${this.provider.name} rates unavailable, using the fixed rate table:`, error.message);
+        }
+
+        // Fallback rates are not cached so the next calculation tries the carrier again
+        const rates = this.normalise(await this.fallback.getRates(request), this.fallback.name);
+        if (rates.length === 0) {
+            return { success: false, error: 'No shipping service is available for this address and parcel size.' };
+        }
+        return { success: true, rates: rates, provider: this.fallback.name, fallback: true, cached: false };
+    }
+
+    /**
+     * Make the cheapest rate free when the order reaches the zone's threshold
+     */
+    applyFreeShipping(rates, country, subtotal) {
+        const threshold = this.getFreeShippingThreshold(country);
+        if (!threshold || subtotal < threshold || rates.length === 0) {
+            return rates;
+        }
+        return rates.map((rate, index) => index === 0 ?
+            { ...rate, cost: 0, originalCost: rate.cost, freeShipping: true } : rate);
+    }
+
+    /**
+     * One rate shape whatever the provider: costs in euros rounded to cents, cheapest first
+     */
+    normalise(rates, provider) {
+        return rates
+            .filter(rate => Number.isFinite(rate.cost) && rate.cost >= 0)
+            .map(rate => ({
+                ...rate,
+                provider: provider,
+                serviceName: rate.service,
+                cost: Math.round(rate.cost * 100) / 100
+            }))
+            .sort((a, b) => a.cost - b.cost);
+    }
+}
+
+// Global instance
+window.ShippingRates = new ShippingRates();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShippingRates;
+}
@@ -0,0 +1,166 @@
+/**
+ * Wax Encounters - VAT
+ * Works out the VAT on an order from its shipping country. We ship from Italy:
+ * Italian customers pay Italian VAT, other EU customers pay their own country's rate once
+ * our cross-border EU sales pass the OSS threshold (Italian VAT below it), and exports
+ * outside the EU are zero-rated. Prices are net; VAT is added on top at checkout.
+ */
+
+class TaxCalculator {
+    constructor() {
+        this.originCountry = 'IT';
+        // EU-wide yearly limit for distance sales before destination VAT applies (One-Stop Shop)
+        this.ossThreshold = 10000;
+        // Standard VAT rates (%) of the EU member states - records are standard rated everywhere
+        this.rates = {
+            AT: 20, BE: 21, BG: 20, HR: 25, CY: 19, CZ: 21, DK: 25, EE: 24, FI: 25.5,
+            FR: 20, DE: 19, GR: 24, HU: 27, IE: 23, IT: 22, LV: 21, LT: 21, LU: 17,
+            MT: 18, NL: 21, PL: 23, PT: 23, RO: 21, SK: 23, SI: 22, ES: 21, SE: 25
+        };
+        this.schemes = {
+            domestic: 'Domestic',
+            origin: 'EU (under OSS threshold)',
+            oss: 'EU OSS',
+            export: 'Export (zero-rated)'
+        };
+    }
+
+    /**
+     * Whether a country code is an EU member state
+     */
+    isEU(country) {
+        return Object.prototype.hasOwnProperty.call(this.rates, (country || '').toUpperCase());
+    }
+
+    /**
+     * Net value of goods shipped to other EU countries in a calendar year
+     */
+    getCrossBorderSales(year) {
+        const total = window.PurchaseTracker.getOrders()
+            .filter(order => order.timestamp && new Date(order.timestamp).getFullYear() === year && order.status !== 'refunded')
+            .filter(order => {
+                const country = (order.recipient && order.recipient.country || '').toUpperCase();
+                return this.isEU(country) && country !== this.originCountry;
+            })
+            .reduce((sum, order) => sum + (order.net !== undefined ? order.net : order.amount || 0), 0);
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * Destination VAT applies from the moment the threshold is passed in this or last year
+     */
+    isOverOssThreshold(now = new Date()) {
+        const year = now.getFullYear();
+        return this.getCrossBorderSales(year) > this.ossThreshold || this.getCrossBorderSales(year - 1) > this.ossThreshold;
+    }
+
+    /**
+     * Which country's VAT applies to a delivery, at what rate and under which scheme.
+     * Without a country yet, the domestic rate is shown until the address is filled in
+     */
+    getTaxRule(country, now = new Date()) {
+        country = (country || this.originCountry).toUpperCase();
+
+        if (!this.isEU(country)) {
+            return { country: country, taxCountry: country, rate: 0, scheme: 'export' };
+        }
+        if (country === this.originCountry) {
+            return { country: country, taxCountry: country, rate: this.rates[country], scheme: 'domestic' };
+        }
+        if (this.isOverOssThreshold(now)) {
+            return { country: country, taxCountry: country, rate: this.rates[country], scheme: 'oss' };
+        }
+        return { country: country, taxCountry: this.originCountry, rate: this.rates[this.originCountry], scheme: 'origin' };
+    }
+
+    /**
+     * VAT on a net amount (goods after discounts plus shipping) for a destination country
+     */
+    calculate(net, country) {
+        const rule = this.getTaxRule(country);
+        const roundedNet = Math.round(net * 100) / 100;
+        const tax = Math.round(roundedNet * rule.rate) / 100;
+        return {
+            ...rule,
+            net: roundedNet,
+            tax: tax,
+            gross: Math.round((roundedNet + tax) * 100) / 100
+        };
+    }
+
+    /**
+     * Checkout label for a tax result, e.g. "VAT (DE 19%)"
+     */
+    getLabel(result) {
+        return result.scheme === 'export' ? 'VAT (export, 0%)' : `VAT (${result.taxCountry} ${result.rate}%)`;
+    }
+
+    /**
+     * VAT per country and rate, for the OSS return and the domestic VAT return: sales in the
+     * period they were made and refunds as negative entries in the period they were paid back.
+     * Orders placed before VAT was recorded are left out
+     */
+    getVatReport(since = null, until = null) {
+        const from = since ? new Date(since).getTime() : null;
+        const to = until ? new Date(until).getTime() : null;
+        const inPeriod = date => {
+            const time = new Date(date).getTime();
+            return (!from || time >= from) && (!to || time < to);
+        };
+        const groups = new Map();
+        const add = (type, vat, net, tax, gross) => {
+            const key = `${type}:${vat.taxCountry}:${vat.rate}:${vat.scheme}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    type: type,
+                    country: vat.taxCountry,
+                    rate: vat.rate,
+                    scheme: vat.scheme,
+                    orders: 0,
+                    net: 0,
+                    tax: 0,
+                    gross: 0
+                });
+            }
+            const row = groups.get(key);
+            row.orders++;
+            row.net += net;
+            row.tax += tax;
+            row.gross += gross;
+        };
+
+        // A refunded order stays a sale of the period it was placed in
+        const orders = window.PurchaseTracker.getOrders().filter(order => order.vat && order.timestamp);
+        orders
+            .filter(order => inPeriod(order.timestamp))
+            .forEach(order => add('sale', order.vat, order.net || 0, order.tax || 0, order.gross || 0));
+
+        const ordersById = new Map(orders.map(order => [order.id, order]));
+        window.PurchaseTracker.getRefunds()
+            .filter(refund => refund.status === 'completed' && ordersById.has(refund.orderId) && inPeriod(refund.completedAt || refund.createdAt))
+            .forEach(refund => {
+                const order = ordersById.get(refund.orderId);
+                // Refunds recorded before they carried their VAT held the net pledge for failed campaigns, the gross otherwise
+                const vat = refund.tax !== undefined ? refund : window.PurchaseTracker.getRefundVat(order,
+                    refund.reason === 'campaign_failed' ? Math.round((refund.amount || 0) * (100 + order.vat.rate)) / 100 : refund.amount || 0);
+                add('refund', order.vat, -vat.net, -vat.tax, -Math.round((vat.net + vat.tax) * 100) / 100);
+            });
+
+        return [...groups.values()]
+            .map(row => ({
+                ...row,
+                net: Math.round(row.net * 100) / 100,
+                tax: Math.round(row.tax * 100) / 100,
+                gross: Math.round(row.gross * 100) / 100
+            }))
+            .sort((a, b) => (a.type === b.type ? 0 : a.type === 'sale' ? -1 : 1) || Math.abs(b.tax) - Math.abs(a.tax));
+    }
+}
+
+// Global instance
+window.TaxCalculator = new TaxCalculator();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxCalculator;
+}
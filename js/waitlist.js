@@ -0,0 +1,309 @@
+/**
+ * Wax Encounters - Waitlist & Backorders
+ * Customers queue for sold-out records: a waitlist entry gets a time-limited purchase link
+ * when stock comes back, a backorder is already paid for and gets the first restocked units
+ * Entries are served strictly in the order they joined
+ */
+
+class Waitlist {
+    constructor() {
+        this.storageKey = 'waitlist';
+        // How long a restock offer holds stock for a waitlisted customer
+        this.offerHours = 48;
+        this.intervalMinutes = 15;
+        this.timer = null;
+        this.running = false;
+        this.pending = false;
+    }
+
+    /**
+     * Serve the queue now and then on an interval, so expired offers pass to the next customer
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        window.DataStore.ready.then(() => this.processRestock());
+        this.timer = setInterval(() => this.processRestock(), this.intervalMinutes * 60 * 1000);
+    }
+
+    /**
+     * Stop the interval
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Get all entries, oldest first
+     */
+    getEntries() {
+        return window.DataStore.get(this.storageKey, []);
+    }
+
+    /**
+     * Persist entries and tell the dashboard to redraw
+     */
+    saveEntries(entries) {
+        window.DataStore.set(this.storageKey, entries);
+        window.PurchaseTracker.notifyDashboardUpdate();
+    }
+
+    /**
+     * Queue a customer for a sold-out record (type 'waitlist' or, for paid orders, 'backorder')
+     */
+    join(recordId, { email, name = '', variantId = null, quantity = 1, type = 'waitlist', orderId = null }) {
+        const record = window.PurchaseTracker.reloadRecords().find(r => r.id === recordId);
+        if (!record || record.type !== 'immediate') {
+            return { success: false, error: 'Record not found' };
+        }
+
+        email = (email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return { success: false, error: 'Please enter a valid email address' };
+        }
+
+        const variant = variantId ? window.PurchaseTracker.getVariant(record, variantId) : null;
+        if (record.variants && record.variants.length > 0 && !variant) {
+            return { success: false, error: `Please choose a version of "${record.albumTitle}"` };
+        }
+
+        if (type === 'backorder' && !record.allowBackorder) {
+            return { success: false, error: `"${record.albumTitle}" cannot be backordered` };
+        }
+
+        const entries = this.getEntries();
+        if (type === 'waitlist' && entries.some(entry =>
+            entry.type === 'waitlist' &&
+            entry.recordId === recordId &&
+            (entry.variantId || null) === variantId &&
+            entry.email === email &&
+            (entry.status === 'waiting' || entry.status === 'offered')
+        )) {
+            return { success: false, error: 'You are already on the waitlist for this record' };
+        }
+
+        const entry = {
+            id: 'wait_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            type: type,
+            recordId: recordId,
+            recordTitle: record.albumTitle,
+            recordArtist: record.artistName,
+            variantId: variantId,
+            variantName: variant ? window.PurchaseTracker.getVariantLabel(variant) : null,
+            email: email,
+            name: name,
+            quantity: quantity,
+            orderId: orderId,
+            status: 'waiting',
+            createdAt: new Date().toISOString(),
+            offerToken: null,
+            reservationId: null,
+            offerExpiresAt: null,
+            allocatedAt: null,
+            notifiedAt: null,
+            purchasedAt: null
+        };
+        entries.push(entry);
+        this.saveEntries(entries);
+
+        const position = this.getRecordQueue(recordId).findIndex(e => e.id === entry.id) + 1;
+        return {
+            success: true,
+            entry: entry,
+            position: position,
+            message: type === 'backorder' ?
+                `Backorder placed - you are number ${position} in line for "${record.albumTitle}"` :
+                `You're on the waitlist for "${record.albumTitle}" (number ${position}). We'll email you when it's back in stock.`
+        };
+    }
+
+    /**
+     * Everything queued for a record (all statuses), in the order customers joined
+     */
+    getRecordWaitlist(recordId) {
+        return this.getEntries()
+            .filter(entry => entry.recordId === recordId)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    /**
+     * Entries still waiting for stock, in the order they will be served
+     */
+    getRecordQueue(recordId) {
+        return this.getRecordWaitlist(recordId).filter(entry => entry.status === 'waiting');
+    }
+
+    /**
+     * An open restock offer by its token, or null if it is unknown, used or expired
+     */
+    getOffer(token) {
+        const entry = this.getEntries().find(e => e.offerToken && e.offerToken === token);
+        if (!entry || entry.status !== 'offered' || new Date(entry.offerExpiresAt).getTime() <= Date.now()) {
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Link that lets a waitlisted customer buy the units held for them
+     */
+    getOfferUrl(entry) {
+        const base = window.location.origin + window.location.pathname.replace(/[^/]*$/, '');
+        return `${base}payment.html?type=direct&recordId=${entry.recordId}${entry.variantId ? `&variantId=${entry.variantId}` : ''}&offer=${entry.offerToken}`;
+    }
+
+    /**
+     * Apply changes to one entry
+     */
+    updateEntry(entryId, changes) {
+        const entries = this.getEntries();
+        const entry = entries.find(e => e.id === entryId);
+        if (!entry) {
+            return false;
+        }
+        Object.assign(entry, changes);
+        this.saveEntries(entries);
+        return true;
+    }
+
+    /**
+     * Mark an offer as used once the customer has bought through it
+     */
+    markPurchased(entryId, orderId) {
+        return this.updateEntry(entryId, { status: 'purchased', purchasedAt: new Date().toISOString(), orderId: orderId });
+    }
+
+    /**
+     * Take a customer off the list (admin action)
+     */
+    cancel(entryId) {
+        const entry = this.getEntries().find(e => e.id === entryId);
+        if (entry && entry.reservationId) {
+            window.PurchaseTracker.releaseReservation(entry.reservationId);
+        }
+        return this.updateEntry(entryId, { status: 'cancelled' });
+    }
+
+    /**
+     * Hand restocked units to the queue: backorders are filled first, then waitlisted
+     * customers get a held offer. Expired offers drop out so the next customer is served.
+     * Returns the entries that were allocated or offered
+     */
+    processRestock(recordId = null) {
+        const tracker = window.PurchaseTracker;
+        tracker.reloadRecords();
+        const entries = this.getEntries();
+        const now = Date.now();
+        const served = [];
+
+        const expired = entries.filter(entry => entry.status === 'offered' && new Date(entry.offerExpiresAt).getTime() <= now);
+        expired.forEach(entry => {
+            entry.status = 'expired';
+        });
+
+        const queue = entries
+            .filter(entry => entry.status === 'waiting' && (!recordId || entry.recordId === recordId))
+            .sort((a, b) => (a.type === b.type ? 0 : a.type === 'backorder' ? -1 : 1) || new Date(a.createdAt) - new Date(b.createdAt));
+
+        // Once someone cannot be served, later customers for the same record must not jump the queue
+        const blocked = new Set();
+        for (const entry of queue) {
+            const stockKey = `${entry.recordId}:${entry.variantId || ''}`;
+            if (blocked.has(stockKey)) {
+                continue;
+            }
+
+            const reservation = tracker.reserveStock(
+                entry.recordId,
+                entry.quantity,
+                entry.variantId || null,
+                entry.type === 'backorder' ? tracker.reservationMinutes : this.offerHours * 60
+            );
+            if (!reservation) {
+                blocked.add(stockKey);
+                continue;
+            }
+
+            if (entry.type === 'backorder') {
+                // Already paid for - turn the hold into a sale straight away
+                if (!tracker.confirmReservation(reservation.id)) {
+                    continue;
+                }
+                entry.status = 'allocated';
+                entry.allocatedAt = new Date().toISOString();
+            } else {
+                entry.status = 'offered';
+                entry.offerToken = 'offer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 12);
+                entry.reservationId = reservation.id;
+                entry.offerExpiresAt = reservation.expiresAt;
+            }
+            served.push(entry);
+        }
+
+        if (expired.length > 0 || served.length > 0) {
+            this.saveEntries(entries);
+            this.notifyCustomers();
+        }
+        return served;
+    }
+
+    /**
+     * Email customers whose backorder was filled or who were offered restocked units
+     * (failed sends are retried on the next pass)
+     */
+    async notifyCustomers() {
+        // Updates arriving mid-run trigger one more pass afterwards
+        if (this.running) {
+            this.pending = true;
+            return 0;
+        }
+        if (!window.EmailService) {
+            console.warn('EmailService not loaded - waitlist emails will be sent later');
+            return 0;
+        }
+        this.running = true;
+
+        let sent = 0;
+        try {
+            const unsent = this.getEntries().filter(entry =>
+                !entry.notifiedAt && (entry.status === 'offered' || entry.status === 'allocated')
+            );
+            for (const entry of unsent) {
+                const result = await window.EmailService.sendBackInStockNotification(entry.email, entry.name || 'Music Lover', {
+                    recordTitle: entry.recordTitle,
+                    recordArtist: entry.recordArtist,
+                    variantName: entry.variantName,
+                    quantity: entry.quantity,
+                    backorder: entry.type === 'backorder',
+                    orderNumber: entry.orderId,
+                    purchaseUrl: entry.type === 'waitlist' ? this.getOfferUrl(entry) : null,
+                    expiresAt: entry.offerExpiresAt
+                });
+                if (result.success) {
+                    this.updateEntry(entry.id, { notifiedAt: new Date().toISOString() });
+                    sent++;
+                }
+            }
+        } catch (error) {
+            console.error('Sending waitlist emails failed:', error);
+        } finally {
+            this.running = false;
+        }
+
+        if (this.pending) {
+            this.pending = false;
+            sent += await this.notifyCustomers();
+        }
+        return sent;
+    }
+}
+
+// Global instance
+window.Waitlist = new Waitlist();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Waitlist;
+}
@@ -0,0 +1,105 @@
+/**
+ * Wax Encounters - Carrier API proxy
+ * Forwards the requests of the 'easypost' and 'packlink' providers in js/shipping-rates.js to the
+ * carrier with the shop's API key added, so the key never reaches a browser (EasyPost does not
+ * accept browser calls at all)
+ *
+ * Run with: EASYPOST_API_KEY=... PACKLINK_API_KEY=... node server/carrier-proxy.js [port]
+ * EASYPOST_URL and PACKLINK_URL send the calls elsewhere, e.g. to server/shipping-server.js
+ * (http://localhost:3003) to try live rates and labels without carrier accounts
+ *
+ *   GET|POST /easypost/v2/(shipments|trackers)...  -> EASYPOST_URL, key as HTTP Basic user
+ *   GET|POST /packlink/v1/(services|shipments)...  -> PACKLINK_URL, key in Authorization
+ */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 3004);
+const TIMEOUT = Number(process.env.CARRIER_TIMEOUT || 15000);
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Only the routes the providers use are forwarded
+const CARRIERS = {
+    easypost: {
+        url: (process.env.EASYPOST_URL || 'https://api.easypost.com').replace(/\/$/, ''),
+        paths: /^\/v2\/(shipments|trackers)(\/|\?|$)/,
+        authorization: key => 'Basic ' + Buffer.from(`${key}:`).toString('base64'),
+        key: process.env.EASYPOST_API_KEY || ''
+    },
+    packlink: {
+        url: (process.env.PACKLINK_URL || 'https://api.packlink.com').replace(/\/$/, ''),
+        paths: /^\/v1\/(services|shipments)(\/|\?|$)/,
+        authorization: key => key,
+        key: process.env.PACKLINK_API_KEY || ''
+    }
+};
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : (typeof body === 'string' ? body : JSON.stringify(body)));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    const match = req.url.match(/^\/(easypost|packlink)(\/.*)$/);
+    const carrier = match && CARRIERS[match[1]];
+    if (!carrier || !carrier.paths.test(match[2]) || !['GET', 'POST'].includes(req.method)) {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+    if (!carrier.key) {
+        send(res, 503, { error: `No API key configured for ${match[1]}` });
+        return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT);
+    try {
+        const response = await fetch(carrier.url + match[2], {
+            method: req.method,
+            headers: { 'Content-Type': 'application/json', Authorization: carrier.authorization(carrier.key) },
+            body: req.method === 'POST' ? await readBody(req) : undefined,
+            signal: controller.signal
+        });
+        send(res, response.status, await response.text());
+    } catch (error) {
+        console.error(`${req.method} ${req.url} failed:`, error.message);
+        send(res, error.name === 'AbortError' ? 504 : 502, { error: `${match[1]} could not be reached` });
+    } finally {
+        clearTimeout(timer);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Wax Encounters carrier proxy listening on http://localhost:${PORT}`);
+    Object.entries(CARRIERS).forEach(([name, carrier]) => {
+        console.log(`  ${name} -> ${carrier.url}${carrier.key ? '' : ' (no API key set)'}`);
+    });
+});
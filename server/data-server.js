@@ -0,0 +1,189 @@
+/**
+ * Wax Encounters - Local JSON data server
+ * Backing store for the REST storage backend in js/data-store.js
+ *
+ * Run with: node server/data-server.js [port]
+ * Collections are kept as JSON files in server/data/
+ *
+ *   GET    /collections/:key   -> stored value (404 if missing)
+ *   PUT    /collections/:key   -> replace value (409 if If-Match is not the current version)
+ *   PATCH  /collections/:key   -> { upsert: [items], remove: [ids] } for lists of { id } items
+ *                                 (409 if a versioned item was changed since the client read it)
+ *   DELETE /collections/:key   -> remove value
+ *   POST   /counters/:name     -> { floor } -> { value }: the counter's next value, never handed out twice
+ *                                 (at least floor + 1, so a counter can continue numbers already in use)
+ *
+ * Every response carries the collection version in its ETag header
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 3001);
+const DATA_DIR = path.join(__dirname, 'data');
+const VERSIONS_FILE = path.join(DATA_DIR, '.versions.json');
+const COUNTERS_FILE = path.join(DATA_DIR, '.counters.json');
+const MAX_BODY_SIZE = 50 * 1024 * 1024; // records carry base64 images
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const versions = fs.existsSync(VERSIONS_FILE) ? JSON.parse(fs.readFileSync(VERSIONS_FILE, 'utf8')) : {};
+const counters = fs.existsSync(COUNTERS_FILE) ? JSON.parse(fs.readFileSync(COUNTERS_FILE, 'utf8')) : {};
+
+/**
+ * Map a collection key to its file, rejecting anything that is not a plain name
+ */
+function collectionPath(key) {
+    if (!/^[\w-]+$/.test(key)) {
+        return null;
+    }
+    return path.join(DATA_DIR, `${key}.json`);
+}
+
+/**
+ * Write a file through a temp file so a crash never leaves half of it behind
+ */
+function writeAtomic(file, value) {
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(value));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Store a collection and bump its version
+ */
+function writeCollection(key, file, value) {
+    writeAtomic(file, value);
+    versions[key] = (versions[key] || 0) + 1;
+    writeAtomic(VERSIONS_FILE, versions);
+}
+
+/**
+ * Whether an incoming item was based on an older copy than the stored one
+ * Only items that carry a version (records) are checked; each save bumps it by one
+ */
+function isStale(stored, item) {
+    if (typeof item.version !== 'number') {
+        return false;
+    }
+    return stored ? (stored.version || 0) !== item.version - 1 : item.version > 1;
+}
+
+function send(res, status, body, key) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, If-Match',
+        'Access-Control-Expose-Headers': 'ETag',
+        ...(key ? { 'ETag': `"${versions[key] || 0}"` } : {})
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    const counter = req.url.match(/^\/counters\/([\w-]+)$/);
+    if (counter && req.method === 'POST') {
+        try {
+            const body = await readBody(req);
+            const floor = Number((body ? JSON.parse(body) : {}).floor) || 0;
+            // Read, bump and save with no await in between, so concurrent requests never share a value
+            const name = counter[1];
+            counters[name] = Math.max(counters[name] || 0, floor) + 1;
+            writeAtomic(COUNTERS_FILE, counters);
+            send(res, 200, { value: counters[name] });
+        } catch (error) {
+            console.error(`${req.method} ${req.url} failed:`, error.message);
+            send(res, 400, { error: error.message });
+        }
+        return;
+    }
+
+    const match = req.url.match(/^\/collections\/([^/?]+)/);
+    const key = match && decodeURIComponent(match[1]);
+    const file = match && collectionPath(key);
+    if (!file) {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    try {
+        if (req.method === 'GET') {
+            if (!fs.existsSync(file)) {
+                send(res, 404, { error: 'Collection not found' });
+                return;
+            }
+            send(res, 200, JSON.parse(fs.readFileSync(file, 'utf8')), key);
+        } else if (req.method === 'PUT') {
+            const value = JSON.parse(await readBody(req));
+            const expected = req.headers['if-match'];
+            if (expected !== undefined && expected.replace(/"/g, '') !== String(versions[key] || 0)) {
+                send(res, 409, { error: `${key} was changed by another client` }, key);
+                return;
+            }
+            writeCollection(key, file, value);
+            send(res, 204, undefined, key);
+        } else if (req.method === 'PATCH') {
+            const { upsert = [], remove = [] } = JSON.parse(await readBody(req));
+            const stored = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+            if (!Array.isArray(stored)) {
+                send(res, 409, { error: `${key} is not a list` }, key);
+                return;
+            }
+
+            const byId = new Map(stored.map(item => [item.id, item]));
+            const stale = upsert.find(item => isStale(byId.get(item.id), item));
+            if (stale) {
+                send(res, 409, { error: `${stale.id} in ${key} was changed by another client` }, key);
+                return;
+            }
+
+            // Changed items keep their place, new ones go to the end
+            const removed = new Set(remove);
+            const incoming = new Map(upsert.map(item => [item.id, item]));
+            const value = stored
+                .filter(item => !removed.has(item.id))
+                .map(item => incoming.get(item.id) || item)
+                .concat(upsert.filter(item => !byId.has(item.id)));
+            writeCollection(key, file, value);
+            send(res, 204, undefined, key);
+        } else if (req.method === 'DELETE') {
+            fs.rmSync(file, { force: true });
+            versions[key] = (versions[key] || 0) + 1;
+            writeAtomic(VERSIONS_FILE, versions);
+            send(res, 204, undefined, key);
+        } else {
+            send(res, 405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error(`${req.method} ${req.url} failed:`, error.message);
+        send(res, 400, { error: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Wax Encounters data server listening on http://localhost:${PORT}`);
+});
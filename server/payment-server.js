@@ -0,0 +1,337 @@
+/**
+ * Wax Encounters - Local mock payment server
+ * Stands in for the payment backend used by the 'rest' provider in js/payment-gateway.js,
+ * so the card and PayPal flows can be run end to end without real accounts
+ *
+ * Run with: node server/payment-server.js [port]
+ * State is kept in memory and lost on restart
+ *
+ *   POST /v1/payment_intents                 -> create a card payment intent (Stripe style)
+ *   POST /v1/payment_intents/:id/confirm     -> charge the card (or authorise it with capture_method 'manual')
+ *   POST /v1/payment_intents/:id/capture     -> capture an authorised card payment
+ *   POST /v1/payment_intents/:id/cancel      -> void an authorised card payment
+ *   POST /v1/refunds                         -> refund a card payment (all of it, or amount in cents)
+ *   POST /v2/checkout/orders                 -> create a PayPal order (approved straight away)
+ *   POST /v2/checkout/orders/:id/capture     -> capture the PayPal order
+ *   POST /v2/checkout/orders/:id/authorize   -> authorise the PayPal order instead
+ *   POST /v2/payments/authorizations/:id/capture -> capture a PayPal authorisation
+ *   POST /v2/payments/authorizations/:id/void    -> void a PayPal authorisation
+ *   POST /v2/payments/captures/:id/refund    -> refund a PayPal capture (all of it, or amount.value)
+ *   GET  /events?after=:eventId              -> webhook events, oldest first
+ *
+ * Stripe's test cards decline as they do in test mode (4000000000000002 and friends);
+ * PayPal payers whose email starts with "decline" have their capture refused
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 3002);
+
+const DECLINED_CARDS = {
+    '4000000000000002': 'card_declined',
+    '4000000000009995': 'insufficient_funds',
+    '4000000000000069': 'expired_card',
+    '4000000000000127': 'incorrect_cvc',
+    '4000000000000119': 'processing_error'
+};
+
+const paymentIntents = new Map();
+const paypalOrders = new Map();
+const events = [];
+
+function newId(prefix) {
+    return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(text ? JSON.parse(text) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Queue a webhook event for the event feed
+ */
+function emit(event) {
+    events.push(event);
+    console.log(`Webhook ${event.type || event.event_type} queued`);
+}
+
+function createPaymentIntent(body) {
+    if (!(body.amount > 0)) {
+        return [400, { error: { type: 'invalid_request_error', message: 'Amount must be above 0' } }];
+    }
+    const intent = {
+        id: newId('pi'),
+        object: 'payment_intent',
+        amount: body.amount,
+        currency: body.currency || 'eur',
+        capture_method: body.capture_method === 'manual' ? 'manual' : 'automatic',
+        status: 'requires_payment_method',
+        receipt_email: body.receipt_email || null,
+        metadata: body.metadata || {},
+        latest_charge: null,
+        last_payment_error: null
+    };
+    intent.client_secret = `${intent.id}_secret_${crypto.randomBytes(8).toString('hex')}`;
+    paymentIntents.set(intent.id, intent);
+    return [200, intent];
+}
+
+function confirmPaymentIntent(id, body) {
+    const intent = paymentIntents.get(id);
+    if (!intent) {
+        return [404, { error: { type: 'invalid_request_error', message: 'No such payment_intent' } }];
+    }
+    if (intent.status === 'succeeded') {
+        return [400, { error: { type: 'invalid_request_error', code: 'payment_intent_unexpected_state', message: 'Payment intent already succeeded' } }];
+    }
+
+    const card = (body.payment_method && body.payment_method.card) || {};
+    const number = String(card.number || '');
+    const declineCode = !/^\d{13,19}$/.test(number) ? 'incorrect_number' : DECLINED_CARDS[number];
+
+    if (declineCode) {
+        intent.status = 'requires_payment_method';
+        intent.last_payment_error = { type: 'card_error', code: declineCode, decline_code: declineCode };
+        emit({ id: newId('evt'), type: 'payment_intent.payment_failed', data: { object: intent } });
+        return [402, intent];
+    }
+
+    intent.last_payment_error = null;
+    intent.latest_charge = newId('ch');
+    if (intent.capture_method === 'manual') {
+        intent.status = 'requires_capture';
+        emit({ id: newId('evt'), type: 'payment_intent.amount_capturable_updated', data: { object: intent } });
+        return [200, intent];
+    }
+    intent.status = 'succeeded';
+    emit({ id: newId('evt'), type: 'payment_intent.succeeded', data: { object: intent } });
+    return [200, intent];
+}
+
+function capturePaymentIntent(id) {
+    const intent = paymentIntents.get(id);
+    if (!intent || intent.status !== 'requires_capture') {
+        return [400, { error: { type: 'invalid_request_error', code: 'payment_intent_unexpected_state', message: 'Payment intent is not awaiting capture' } }];
+    }
+    intent.status = 'succeeded';
+    emit({ id: newId('evt'), type: 'payment_intent.succeeded', data: { object: intent } });
+    return [200, intent];
+}
+
+function cancelPaymentIntent(id) {
+    const intent = paymentIntents.get(id);
+    if (!intent || intent.status === 'succeeded' || intent.status === 'canceled') {
+        return [400, { error: { type: 'invalid_request_error', code: 'payment_intent_unexpected_state', message: 'Payment intent cannot be canceled' } }];
+    }
+    intent.status = 'canceled';
+    emit({ id: newId('evt'), type: 'payment_intent.canceled', data: { object: intent } });
+    return [200, intent];
+}
+
+function createRefund(body) {
+    const intent = paymentIntents.get(body.payment_intent);
+    if (!intent || intent.status !== 'succeeded') {
+        return [400, { error: { type: 'invalid_request_error', message: 'Payment intent has no charge to refund' } }];
+    }
+    const refundable = intent.amount - (intent.amount_refunded || 0);
+    const amount = body.amount === undefined ? refundable : Number(body.amount);
+    if (!(amount > 0) || amount > refundable) {
+        return [400, { error: { type: 'invalid_request_error', message: 'Refund amount is greater than the unrefunded charge' } }];
+    }
+    intent.amount_refunded = (intent.amount_refunded || 0) + amount;
+    const refund = { id: newId('re'), object: 'refund', payment_intent: intent.id, amount: amount, status: 'succeeded' };
+    emit({ id: newId('evt'), type: 'charge.refunded', data: { object: { object: 'charge', id: intent.latest_charge, payment_intent: intent.id, amount_refunded: intent.amount_refunded, refunded: intent.amount_refunded === intent.amount } } });
+    return [200, refund];
+}
+
+function createPaypalOrder(body) {
+    const unit = body.purchase_units && body.purchase_units[0];
+    if (!unit || !(Number(unit.amount && unit.amount.value) > 0)) {
+        return [422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'AMOUNT_MISMATCH' }] }];
+    }
+    // The buyer approval window is skipped - orders are approved as soon as they are created
+    const order = {
+        id: crypto.randomBytes(8).toString('hex').toUpperCase(),
+        intent: body.intent === 'AUTHORIZE' ? 'AUTHORIZE' : 'CAPTURE',
+        status: 'APPROVED',
+        purchase_units: [unit],
+        payer: body.payer || {},
+        authorizationId: null,
+        authorizationStatus: null,
+        captureId: null
+    };
+    paypalOrders.set(order.id, order);
+    return [201, { id: order.id, status: order.status, links: [{ rel: 'approve', href: `http://localhost:${PORT}/approve/${order.id}` }] }];
+}
+
+function capturePaypalOrder(id) {
+    const order = paypalOrders.get(id);
+    if (!order) {
+        return [404, { name: 'RESOURCE_NOT_FOUND', details: [{ issue: 'INVALID_RESOURCE_ID' }] }];
+    }
+    if (order.status === 'COMPLETED') {
+        return [422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'ORDER_ALREADY_CAPTURED' }] }];
+    }
+    if (order.intent !== 'CAPTURE') {
+        return [422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'ACTION_DOES_NOT_MATCH_INTENT' }] }];
+    }
+
+    const captureId = crypto.randomBytes(8).toString('hex').toUpperCase();
+    const related = { related_ids: { order_id: order.id } };
+    if (/^decline/i.test(order.payer.email_address || '')) {
+        emit({ id: newId('WH'), event_type: 'PAYMENT.CAPTURE.DENIED', resource: { id: captureId, status_details: { reason: 'INSTRUMENT_DECLINED' }, supplementary_data: related } });
+        return [422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'INSTRUMENT_DECLINED' }] }];
+    }
+
+    order.status = 'COMPLETED';
+    order.captureId = captureId;
+    emit({ id: newId('WH'), event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: { id: captureId, status: 'COMPLETED', supplementary_data: related } });
+    return [201, {
+        id: order.id,
+        status: order.status,
+        purchase_units: [{ payments: { captures: [{ id: captureId, status: 'COMPLETED', amount: order.purchase_units[0].amount }] } }]
+    }];
+}
+
+function authorizePaypalOrder(id) {
+    const order = paypalOrders.get(id);
+    if (!order) {
+        return [404, { name: 'RESOURCE_NOT_FOUND', details: [{ issue: 'INVALID_RESOURCE_ID' }] }];
+    }
+    if (order.intent !== 'AUTHORIZE' || order.status === 'COMPLETED') {
+        return [422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'ACTION_DOES_NOT_MATCH_INTENT' }] }];
+    }
+
+    const authorizationId = crypto.randomBytes(8).toString('hex').toUpperCase();
+    const related = { related_ids: { order_id: order.id } };
+    if (/^decline/i.test(order.payer.email_address || '')) {
+        emit({ id: newId('WH'), event_type: 'PAYMENT.CAPTURE.DENIED', resource: { id: authorizationId, status_details: { reason: 'INSTRUMENT_DECLINED' }, supplementary_data: related } });
+        return [422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'INSTRUMENT_DECLINED' }] }];
+    }
+
+    order.status = 'COMPLETED';
+    order.authorizationId = authorizationId;
+    order.authorizationStatus = 'CREATED';
+    emit({ id: newId('WH'), event_type: 'PAYMENT.AUTHORIZATION.CREATED', resource: { id: authorizationId, status: 'CREATED', supplementary_data: related } });
+    return [201, {
+        id: order.id,
+        status: order.status,
+        purchase_units: [{ payments: { authorizations: [{ id: authorizationId, status: 'CREATED', amount: order.purchase_units[0].amount }] } }]
+    }];
+}
+
+function settlePaypalAuthorization(authorizationId, action) {
+    const order = [...paypalOrders.values()].find(o => o.authorizationId === authorizationId);
+    if (!order) {
+        return [404, { name: 'RESOURCE_NOT_FOUND', details: [{ issue: 'INVALID_RESOURCE_ID' }] }];
+    }
+    if (order.authorizationStatus !== 'CREATED') {
+        return [422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'AUTHORIZATION_ALREADY_COMPLETED' }] }];
+    }
+
+    const related = { related_ids: { order_id: order.id } };
+    if (action === 'void') {
+        order.authorizationStatus = 'VOIDED';
+        emit({ id: newId('WH'), event_type: 'PAYMENT.AUTHORIZATION.VOIDED', resource: { id: authorizationId, status: 'VOIDED', supplementary_data: related } });
+        return [200, { id: authorizationId, status: 'VOIDED' }];
+    }
+
+    order.authorizationStatus = 'CAPTURED';
+    order.captureId = crypto.randomBytes(8).toString('hex').toUpperCase();
+    emit({ id: newId('WH'), event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: { id: order.captureId, status: 'COMPLETED', supplementary_data: related } });
+    return [201, { id: order.captureId, status: 'COMPLETED' }];
+}
+
+function refundPaypalCapture(captureId, body) {
+    const order = [...paypalOrders.values()].find(o => o.captureId === captureId);
+    if (!order) {
+        return [404, { name: 'RESOURCE_NOT_FOUND', details: [{ issue: 'INVALID_RESOURCE_ID' }] }];
+    }
+    const refundable = Number(order.purchase_units[0].amount.value) - (order.refunded || 0);
+    const amount = body.amount ? Number(body.amount.value) : refundable;
+    if (!(amount > 0) || amount > refundable + 0.001) {
+        return [422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'REFUND_AMOUNT_EXCEEDED' }] }];
+    }
+    order.refunded = Math.round(((order.refunded || 0) + amount) * 100) / 100;
+    emit({ id: newId('WH'), event_type: 'PAYMENT.CAPTURE.REFUNDED', resource: { id: captureId, supplementary_data: { related_ids: { order_id: order.id } } } });
+    return [201, { id: crypto.randomBytes(8).toString('hex').toUpperCase(), status: 'COMPLETED' }];
+}
+
+function listEvents(url) {
+    const after = url.searchParams.get('after');
+    const start = after ? events.findIndex(event => event.id === after) + 1 : 0;
+    return [200, { data: events.slice(start) }];
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    let match;
+
+    try {
+        const body = req.method === 'POST' ? await readBody(req) : {};
+        let result;
+
+        if (req.method === 'POST' && url.pathname === '/v1/payment_intents') {
+            result = createPaymentIntent(body);
+        } else if (req.method === 'POST' && (match = url.pathname.match(/^\/v1\/payment_intents\/([\w]+)\/confirm$/))) {
+            result = confirmPaymentIntent(match[1], body);
+        } else if (req.method === 'POST' && (match = url.pathname.match(/^\/v1\/payment_intents\/([\w]+)\/capture$/))) {
+            result = capturePaymentIntent(match[1]);
+        } else if (req.method === 'POST' && (match = url.pathname.match(/^\/v1\/payment_intents\/([\w]+)\/cancel$/))) {
+            result = cancelPaymentIntent(match[1]);
+        } else if (req.method === 'POST' && url.pathname === '/v1/refunds') {
+            result = createRefund(body);
+        } else if (req.method === 'POST' && url.pathname === '/v2/checkout/orders') {
+            result = createPaypalOrder(body);
+        } else if (req.method === 'POST' && (match = url.pathname.match(/^\/v2\/checkout\/orders\/([\w]+)\/capture$/))) {
+            result = capturePaypalOrder(match[1]);
+        } else if (req.method === 'POST' && (match = url.pathname.match(/^\/v2\/checkout\/orders\/([\w]+)\/authorize$/))) {
+            result = authorizePaypalOrder(match[1]);
+        } else if (req.method === 'POST' && (match = url.pathname.match(/^\/v2\/payments\/authorizations\/([\w]+)\/(capture|void)$/))) {
+            result = settlePaypalAuthorization(match[1], match[2]);
+        } else if (req.method === 'POST' && (match = url.pathname.match(/^\/v2\/payments\/captures\/([\w]+)\/refund$/))) {
+            result = refundPaypalCapture(match[1], body);
+        } else if (req.method === 'GET' && url.pathname === '/events') {
+            result = listEvents(url);
+        } else {
+            result = [404, { error: 'Not found' }];
+        }
+
+        send(res, result[0], result[1]);
+    } catch (error) {
+        console.error(`${req.method} ${req.url} failed:`, error.message);
+        send(res, 400, { error: { message: error.message } });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Wax Encounters mock payment server listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,349 @@
+/**
+ * Wax Encounters - Local stub shipping rate server
+ * Answers the rate requests of the 'easypost' and 'packlink' providers in js/shipping-rates.js,
+ * so live rate lookups (and their fallback) can be tried without carrier accounts or network.
+ * Point server/carrier-proxy.js at it with EASYPOST_URL / PACKLINK_URL=http://localhost:3003
+ *
+ * Run with: node server/shipping-server.js [port] [delayMs]
+ * delayMs holds every answer back, to see the checkout fall back to the fixed rate table
+ * State is kept in memory and lost on restart
+ *
+ *   POST /v2/shipments               -> create an EasyPost style shipment with its rates (inches, ounces, USD)
+ *   POST /v2/shipments/:id/buy       -> buy one of its rates: tracking code, label and tracker
+ *   GET  /v2/trackers/:id            -> EasyPost style tracker
+ *   GET  /v1/services                -> Packlink style services for from[...], to[...] and packages[0][...] (cm, kg, EUR)
+ *   POST /v1/shipments               -> book a Packlink style shipment on a service
+ *   GET  /v1/shipments/:ref          -> the shipment, with its state and tracking codes
+ *   GET  /v1/shipments/:ref/labels   -> label URLs
+ *   GET  /v1/shipments/:ref/track    -> tracking history
+ *   GET  /labels/:id.pdf             -> the label itself
+ *
+ * Prices are worked out from the destination and weight so the same parcel always gets the same rates;
+ * destination country "XX" gets no rates and "ZZ" a server error
+ * Parcels move on one tracking step (label created, in transit, out for delivery, delivered)
+ * every TRACKING_STEP milliseconds after the label is bought (default one minute)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 3003);
+const DELAY = Number(process.argv[3] || process.env.DELAY || 0);
+const TRACKING_STEP = Number(process.env.TRACKING_STEP || 60000);
+
+const EU = ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'];
+
+// Carrier services with a base price and a price per kg, in euros
+const SERVICES = [
+    { carrier: 'PosteItaliane', service: 'Crono', scope: 'domestic', base: 6.5, perKg: 1.2, days: 3 },
+    { carrier: 'BRT', service: 'Express', scope: 'domestic', base: 8.9, perKg: 1.5, days: 2 },
+    { carrier: 'DHL', service: 'EconomySelect', scope: 'international', base: 9.5, perKg: 2.4, days: 5 },
+    { carrier: 'UPS', service: 'Standard', scope: 'international', base: 11.9, perKg: 2.8, days: 4 },
+    { carrier: 'DHL', service: 'ExpressWorldwide', scope: 'all', base: 24.5, perKg: 5.5, days: 2 }
+];
+
+// EasyPost quotes in dollars
+const EUR_TO_USD = 1.08;
+
+// Tracking steps as EasyPost and Packlink name them
+const TRACKING = [
+    { easypost: 'pre_transit', packlink: 'READY_FOR_COLLECTION', message: 'Shipping label created' },
+    { easypost: 'in_transit', packlink: 'IN_TRANSIT', message: 'Parcel collected from sender' },
+    { easypost: 'out_for_delivery', packlink: 'OUT_FOR_DELIVERY', message: 'Out for delivery' },
+    { easypost: 'delivered', packlink: 'DELIVERED', message: 'Delivered' }
+];
+
+const shipments = new Map();
+const trackers = new Map();
+const packlinkShipments = new Map();
+const labels = new Map();
+
+function newId(prefix) {
+    return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(text ? JSON.parse(text) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Services and euro prices for a parcel from Italy to a country
+ */
+function quote(country, weightKg) {
+    if (!country) {
+        throw new Error('Destination country is required');
+    }
+    if (!(weightKg > 0)) {
+        throw new Error('Parcel weight is required');
+    }
+    if (country === 'XX') {
+        return [];
+    }
+
+    const domestic = country === 'IT';
+    const zoneFactor = domestic ? 1 : EU.includes(country) ? 1.4 : ['GB', 'CH', 'NO'].includes(country) ? 1.7 : 2.6;
+    const extraDays = domestic ? 0 : EU.includes(country) ? 1 : 4;
+    return SERVICES
+        .filter(service => service.scope === 'all' || service.scope === (domestic ? 'domestic' : 'international'))
+        .map(service => ({
+            ...service,
+            price: Math.round((service.base + service.perKg * weightKg) * zoneFactor * 100) / 100,
+            days: service.days + extraDays
+        }));
+}
+
+/**
+ * Tracking steps a parcel has gone through since its label was bought
+ */
+function trackingSteps(boughtAt) {
+    const reached = Math.min(TRACKING.length - 1, Math.floor((Date.now() - boughtAt) / TRACKING_STEP));
+    return TRACKING.slice(0, reached + 1).map((step, index) => ({ ...step, at: new Date(boughtAt + index * TRACKING_STEP) }));
+}
+
+function newTrackingCode(carrier) {
+    return `${carrier.slice(0, 2).toUpperCase()}${crypto.randomBytes(5).toString('hex').toUpperCase()}IT`;
+}
+
+/**
+ * A one-page PDF with the given lines of text, standing in for the carrier's label
+ */
+function labelPdf(lines) {
+    const text = lines.map((line, index) =>
+        `BT /F1 ${index === 0 ? 16 : 11} Tf 24 ${400 - index * 22} Td (${String(line).replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7e]/g, '?')}) Tj ET`).join('\n');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 288 432] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${Buffer.byteLength(text)} >>\nstream\n${text}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf);
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf);
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf);
+}
+
+/**
+ * Keep a label PDF and return its URL
+ */
+function storeLabel(lines) {
+    const id = newId('label');
+    labels.set(id, labelPdf(lines));
+    return `http://localhost:${PORT}/labels/${id}.pdf`;
+}
+
+function addressLines(name, street, zip, city, country) {
+    return [name, street, `${zip || ''} ${city || ''}`.trim(), country].filter(Boolean);
+}
+
+function createShipment(body) {
+    const shipment = body.shipment || {};
+    const to = shipment.to_address || {};
+    const parcel = shipment.parcel || {};
+    if (to.country === 'ZZ') {
+        return [500, { error: { code: 'INTERNAL_SERVER_ERROR', message: 'Rating service unavailable' } }];
+    }
+
+    const id = newId('shp');
+    const rates = quote(to.country, Number(parcel.weight) / 35.274).map(service => ({
+        id: newId('rate'),
+        object: 'Rate',
+        shipment_id: id,
+        carrier: service.carrier,
+        service: service.service,
+        rate: (service.price * EUR_TO_USD).toFixed(2),
+        currency: 'USD',
+        delivery_days: service.days,
+        est_delivery_days: service.days
+    }));
+    const created = { id: id, object: 'Shipment', to_address: to, from_address: shipment.from_address || {}, parcel: parcel, rates: rates };
+    shipments.set(id, created);
+    console.log(`EasyPost shipment ${id} to ${to.country}: ${rates.length} rates`);
+    return [201, created];
+}
+
+function buyShipment(id, body) {
+    const shipment = shipments.get(id);
+    if (!shipment) {
+        return [404, { error: { code: 'NOT_FOUND', message: 'Shipment not found' } }];
+    }
+    if (shipment.tracking_code) {
+        return [422, { error: { code: 'SHIPMENT.POSTAGE.EXISTS', message: 'Postage already exists for this shipment' } }];
+    }
+    const rate = shipment.rates.find(r => r.id === (body.rate || {}).id);
+    if (!rate) {
+        return [422, { error: { code: 'SHIPMENT.RATE.INVALID', message: 'Rate not found for this shipment' } }];
+    }
+
+    const trackingCode = newTrackingCode(rate.carrier);
+    const tracker = { id: newId('trk'), object: 'Tracker', tracking_code: trackingCode, carrier: rate.carrier, boughtAt: Date.now(), days: rate.delivery_days };
+    trackers.set(tracker.id, tracker);
+    const to = shipment.to_address;
+    shipment.selected_rate = rate;
+    shipment.tracking_code = trackingCode;
+    shipment.postage_label = {
+        label_pdf_url: storeLabel([`${rate.carrier} ${rate.service}`, ...addressLines(to.name, to.street1, to.zip, to.city, to.country), trackingCode])
+    };
+    shipment.tracker = { id: tracker.id, public_url: null };
+    console.log(`EasyPost label ${trackingCode} bought for ${id}`);
+    return [200, shipment];
+}
+
+function getTracker(id) {
+    const tracker = trackers.get(id);
+    if (!tracker) {
+        return [404, { error: { code: 'NOT_FOUND', message: 'Tracker not found' } }];
+    }
+    const steps = trackingSteps(tracker.boughtAt);
+    return [200, {
+        id: tracker.id,
+        object: 'Tracker',
+        tracking_code: tracker.tracking_code,
+        carrier: tracker.carrier,
+        status: steps[steps.length - 1].easypost,
+        est_delivery_date: new Date(tracker.boughtAt + tracker.days * 86400000).toISOString(),
+        tracking_details: steps.map(step => ({
+            datetime: step.at.toISOString(),
+            status: step.easypost,
+            message: step.message,
+            tracking_location: { city: step.easypost === 'pre_transit' ? 'Bovisio Masciago' : null, country: step.easypost === 'pre_transit' ? 'IT' : null }
+        }))
+    }];
+}
+
+function listServices(url) {
+    const country = url.searchParams.get('to[country]');
+    if (country === 'ZZ') {
+        return [500, { message: 'Rating service unavailable' }];
+    }
+
+    const services = quote(country, Number(url.searchParams.get('packages[0][weight]'))).map((service, index) => ({
+        id: `${service.carrier.toLowerCase()}-${service.service.toLowerCase()}-${index}`,
+        carrier_name: service.carrier,
+        name: `${service.carrier} ${service.service}`,
+        price: { total_price: service.price, currency: 'EUR' },
+        transit_time: `${service.days} DAYS`,
+        transit_hours: String(service.days * 24)
+    }));
+    console.log(`Packlink services to ${country}: ${services.length}`);
+    return [200, services];
+}
+
+function createPacklinkShipment(body) {
+    const to = body.to || {};
+    const weight = Number(((body.packages || [])[0] || {}).weight);
+    const service = quote(to.country, weight).map((s, index) => ({ ...s, id: `${s.carrier.toLowerCase()}-${s.service.toLowerCase()}-${index}` }))
+        .find(s => s.id === body.service_id);
+    if (!service) {
+        return [400, { message: 'Service not available for this shipment' }];
+    }
+
+    const reference = `IT2026PRO${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const trackingCode = newTrackingCode(service.carrier);
+    packlinkShipments.set(reference, {
+        reference: reference,
+        carrier: service.carrier,
+        service: `${service.carrier} ${service.service}`,
+        price: { total_price: service.price, currency: 'EUR' },
+        tracking_codes: [trackingCode],
+        labels: [storeLabel([`${service.carrier} ${service.service}`, ...addressLines(`${to.name || ''} ${to.surname || ''}`.trim(), to.street1, to.zip_code, to.city, to.country), trackingCode])],
+        boughtAt: Date.now(),
+        days: service.days
+    });
+    console.log(`Packlink shipment ${reference} booked on ${body.service_id}`);
+    return [201, { reference: reference }];
+}
+
+function getPacklinkShipment(reference, part) {
+    const shipment = packlinkShipments.get(reference);
+    if (!shipment) {
+        return [404, { message: 'Shipment not found' }];
+    }
+    const steps = trackingSteps(shipment.boughtAt);
+    if (part === 'labels') {
+        return [200, shipment.labels];
+    }
+    if (part === 'track') {
+        return [200, { history: steps.map(step => ({ created_at: Math.floor(step.at.getTime() / 1000), state: step.packlink, description: step.message, city: step.packlink === 'READY_FOR_COLLECTION' ? 'Bovisio Masciago' : '' })) }];
+    }
+    const { labels: _labels, boughtAt, days, ...details } = shipment;
+    return [200, { ...details, state: steps[steps.length - 1].packlink, estimated_delivery_date: new Date(boughtAt + days * 86400000).toISOString() }];
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    let match;
+
+    if (req.method === 'GET' && (match = url.pathname.match(/^\/labels\/([\w]+)\.pdf$/)) && labels.has(match[1])) {
+        res.writeHead(200, { 'Content-Type': 'application/pdf', 'Access-Control-Allow-Origin': '*' });
+        res.end(labels.get(match[1]));
+        return;
+    }
+
+    try {
+        const body = req.method === 'POST' ? await readBody(req) : {};
+        let result;
+
+        if (req.method === 'POST' && url.pathname === '/v2/shipments') {
+            result = createShipment(body);
+        } else if (req.method === 'POST' && (match = url.pathname.match(/^\/v2\/shipments\/([\w]+)\/buy$/))) {
+            result = buyShipment(match[1], body);
+        } else if (req.method === 'GET' && (match = url.pathname.match(/^\/v2\/trackers\/([\w]+)$/))) {
+            result = getTracker(match[1]);
+        } else if (req.method === 'GET' && url.pathname === '/v1/services') {
+            result = listServices(url);
+        } else if (req.method === 'POST' && url.pathname === '/v1/shipments') {
+            result = createPacklinkShipment(body);
+        } else if (req.method === 'GET' && (match = url.pathname.match(/^\/v1\/shipments\/([\w]+)(?:\/(labels|track))?$/))) {
+            result = getPacklinkShipment(match[1], match[2]);
+        } else {
+            result = [404, { error: 'Not found' }];
+        }
+
+        if (DELAY > 0) {
+            await new Promise(resolve => setTimeout(resolve, DELAY));
+        }
+        send(res, result[0], result[1]);
+    } catch (error) {
+        console.error(`${req.method} ${req.url} failed:`, error.message);
+        send(res, 400, { error: { message: error.message } });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Wax Encounters stub shipping server listening on http://localhost:${PORT}${DELAY ? ` (answers delayed ${DELAY}ms)` : ''}`);
+});